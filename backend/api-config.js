@@ -1,4 +1,4 @@
-const { CoreUtils } = require('./core');
+const { CONSTANTS, CoreUtils } = require('./core');
 const { logger } = require('./logger');
 const path = require('path');
 const { promises: fs } = require('fs');
@@ -6,11 +6,24 @@ const { promises: fs } = require('fs');
 const API_CONFIG_URL = 'https://raw.githubusercontent.com/Cheu3172/Wuwa-Web-Request/main/api.json';
 const CACHE_FILE = CoreUtils.getAppDataPath('api-config-cache.json');
 const CACHE_DURATION = 1000 * 60 * 60 * 12;
+const REQUIRED_CLIENT_KEYS = ['news-notices', 'wallpapers-slogan', 'socials-icons'];
+const KNOWN_CLIENT_NAMES = {
+    [CONSTANTS.DEFAULT_API_CLIENT]: 'Global'
+};
+
+function isValidClient(client) {
+    return REQUIRED_CLIENT_KEYS.every(key => client?.[key]?.url);
+}
 
 class ApiConfig {
     constructor() {
         this.config = null;
         this.lastFetched = null;
+        this.launcherConfig = null;
+    }
+
+    useConfig(launcherConfig) {
+        this.launcherConfig = launcherConfig;
     }
 
     async initialize() {
@@ -42,9 +55,11 @@ class ApiConfig {
     logCurrentUrls() {
         try {
             logger.info('=== Dynamic Visual Asset URLs from GitHub ===');
+            logger.info(`Client: ${this.getClientId()}`);
             logger.info(`News: ${this.getNewsUrl()}`);
             logger.info(`Wallpaper: ${this.getWallpaperUrl()}`);
             logger.info(`Social Icons: ${this.getSocialIconsUrl()}`);
+            logger.info(`Game Index: ${this.getGameIndexUrl()}`);
             logger.info('==============================================');
         } catch (error) {
             logger.warn('Could not log API URLs:', error.message);
@@ -116,21 +131,23 @@ class ApiConfig {
     validateConfig(config) {
         try {
 
-            if (!config?.clients?.osLive) {
-                logger.error('Missing clients.osLive in API config');
+            const defaultClient = config?.clients?.[CONSTANTS.DEFAULT_API_CLIENT];
+            if (!defaultClient) {
+                logger.error(`Missing clients.${CONSTANTS.DEFAULT_API_CLIENT} in API config`);
                 return false;
             }
 
-            const osLive = config.clients.osLive;
-            const requiredKeys = ['news-notices', 'wallpapers-slogan', 'socials-icons'];
-
-            for (const key of requiredKeys) {
-                if (!osLive[key]?.url) {
+            for (const key of REQUIRED_CLIENT_KEYS) {
+                if (!defaultClient[key]?.url) {
                     logger.error(`Missing ${key}.url in API config`);
                     return false;
                 }
             }
 
+            Object.entries(config.clients)
+                .filter(([, client]) => !isValidClient(client))
+                .forEach(([id]) => logger.warn(`Ignoring incomplete API client: ${id}`));
+
             logger.debug('API config structure validated successfully');
             return true;
         } catch (error) {
@@ -150,25 +167,68 @@ class ApiConfig {
         }, 5000);
     }
 
+    getClients() {
+        const clients = Object.entries(this.config?.clients || {})
+            .filter(([, client]) => isValidClient(client));
+
+        if (!clients.some(([id]) => id === CONSTANTS.DEFAULT_API_CLIENT)) {
+            clients.unshift([CONSTANTS.DEFAULT_API_CLIENT, {}]);
+        }
+
+        return clients.map(([id, client]) => ({
+            id,
+            name: client.name || KNOWN_CLIENT_NAMES[id] || id,
+            defaultGameIndexUrl: this.getDefaultGameIndexUrl(id)
+        }));
+    }
+
+    // The region follows the active install profile; unknown or incomplete
+    // clients fall back to the global one.
+    getClientId() {
+        const clientId = this.launcherConfig?.get('client');
+        return isValidClient(this.config?.clients?.[clientId]) ? clientId : CONSTANTS.DEFAULT_API_CLIENT;
+    }
+
+    getClientConfig() {
+        return this.config?.clients?.[this.getClientId()];
+    }
+
+    getDefaultGameIndexUrl(clientId) {
+        const url = this.config?.clients?.[clientId]?.['game-index']?.url;
+        if (url) return url;
+        return clientId === CONSTANTS.DEFAULT_API_CLIENT ? CONSTANTS.GAME_CONFIG_URL : null;
+    }
+
+    getGameIndexUrl(clientId = this.getClientId()) {
+        const url = this.launcherConfig?.get(`gameIndexUrls.${clientId}`) || this.getDefaultGameIndexUrl(clientId);
+        if (!url) {
+            throw new Error(`No game index URL is configured for the ${clientId} region. Set one in Settings > Network.`);
+        }
+        return url;
+    }
+
     getNewsUrl() {
-        if (!this.config?.clients?.osLive?.['news-notices']?.url) {
+        const client = this.getClientConfig();
+        if (!client?.['news-notices']?.url) {
             throw new Error('News URL not available in API configuration');
         }
-        return this.config.clients.osLive['news-notices'].url;
+        return client['news-notices'].url;
     }
 
     getWallpaperUrl() {
-        if (!this.config?.clients?.osLive?.['wallpapers-slogan']?.url) {
+        const client = this.getClientConfig();
+        if (!client?.['wallpapers-slogan']?.url) {
             throw new Error('Wallpaper URL not available in API configuration');
         }
-        return this.config.clients.osLive['wallpapers-slogan'].url;
+        return client['wallpapers-slogan'].url;
     }
 
     getSocialIconsUrl() {
-        if (!this.config?.clients?.osLive?.['socials-icons']?.url) {
+        const client = this.getClientConfig();
+        if (!client?.['socials-icons']?.url) {
             throw new Error('Social media URL not available in API configuration');
         }
-        const url = this.config.clients.osLive['socials-icons'].url;
+        const url = client['socials-icons'].url;
         return url.split('?')[0];
     }
 
@@ -176,7 +236,8 @@ class ApiConfig {
         return {
             news: this.getNewsUrl(),
             wallpaper: this.getWallpaperUrl(),
-            socialIcons: this.getSocialIconsUrl()
+            socialIcons: this.getSocialIconsUrl(),
+            gameIndex: this.getGameIndexUrl()
         };
     }
 }
@@ -1,10 +1,9 @@
 const { promises: fs } = require('fs');
 const path = require('path');
-const https = require('https');
-const http = require('http');
 const crypto = require('crypto');
 const { CoreUtils, CONSTANTS } = require('./core');
 const { logger } = require('./logger');
+const { httpClient } = require('./http-client');
 
 const CACHE_DIR = CoreUtils.getAppDataPath('asset-cache');
 const CACHE_MANIFEST_FILE = path.join(CACHE_DIR, 'manifest.json');
@@ -16,6 +15,8 @@ class AssetCache {
             slogan: null,
             backgroundFileHash: null,
             sloganHash: null,
+            backgroundFileValidators: null,
+            sloganValidators: null,
             socialIcons: {},
             socialIconsTimestamp: null,
             newsBanners: {},
@@ -56,36 +57,28 @@ class AssetCache {
         }
     }
 
-    async downloadFile(url, destPath) {
-        return new Promise((resolve, reject) => {
-            const protocol = url.startsWith('https:') ? https : http;
-            const file = require('fs').createWriteStream(destPath);
+    async downloadFile(url, destPath, validators = {}) {
+        return await httpClient.download(url, destPath, {
+            etag: validators.etag,
+            lastModified: validators.lastModified
+        });
+    }
 
-            protocol.get(url, (response) => {
-                if (response.statusCode !== 200) {
-                    file.close();
-                    fs.unlink(destPath).catch(() => {});
-                    return reject(new Error(`HTTP ${response.statusCode} for ${url}`));
-                }
+    // Revalidates a cached asset with If-None-Match/If-Modified-Since so an
+    // unchanged file is not transferred again.
+    async downloadIfChanged(url, destPath, validatorsKey) {
+        const cached = this.manifest[validatorsKey];
+        const canRevalidate = cached?.url === url && await CoreUtils.fileExists(destPath);
 
-                response.pipe(file);
-
-                file.on('finish', () => {
-                    file.close();
-                    resolve();
-                });
-
-                file.on('error', (err) => {
-                    file.close();
-                    fs.unlink(destPath).catch(() => {});
-                    reject(err);
-                });
-            }).on('error', (err) => {
-                file.close();
-                fs.unlink(destPath).catch(() => {});
-                reject(err);
-            });
-        });
+        const result = await this.downloadFile(url, destPath, canRevalidate ? cached : {});
+        if (result.notModified) return false;
+
+        this.manifest[validatorsKey] = {
+            url,
+            etag: result.etag,
+            lastModified: result.lastModified
+        };
+        return true;
     }
 
     async calculateFileHash(filePath) {
@@ -98,33 +91,19 @@ class AssetCache {
         }
     }
 
-    async fetchRemoteHash(url) {
-        try {
-            const response = await CoreUtils.httpRequest(url);
-            return crypto.createHash('md5').update(response).digest('hex');
-        } catch (error) {
-            logger.warn('Failed to fetch remote hash for comparison:', error.message);
-            return null;
-        }
-    }
-
     async cacheBackgroundFile(url) {
         try {
             const fileName = 'background' + path.extname(url.split('?')[0]);
             const destPath = path.join(CACHE_DIR, fileName);
 
-            const remoteHash = await this.fetchRemoteHash(url);
-
-            if (this.manifest.backgroundFileHash === remoteHash && await CoreUtils.fileExists(destPath)) {
+            logger.info('Checking background file for changes...');
+            if (!(await this.downloadIfChanged(url, destPath, 'backgroundFileValidators'))) {
                 logger.info('Background file is up to date, using cache');
                 return destPath;
             }
 
-            logger.info('Downloading new background file...');
-            await this.downloadFile(url, destPath);
-
             this.manifest.backgroundFile = destPath;
-            this.manifest.backgroundFileHash = remoteHash;
+            this.manifest.backgroundFileHash = await CoreUtils.calculateMD5(destPath);
             await this.saveManifest();
 
             logger.info('Background file cached successfully');
@@ -140,18 +119,14 @@ class AssetCache {
             const fileName = 'slogan' + path.extname(url.split('?')[0]);
             const destPath = path.join(CACHE_DIR, fileName);
 
-            const remoteHash = await this.fetchRemoteHash(url);
-
-            if (this.manifest.sloganHash === remoteHash && await CoreUtils.fileExists(destPath)) {
+            logger.info('Checking slogan image for changes...');
+            if (!(await this.downloadIfChanged(url, destPath, 'sloganValidators'))) {
                 logger.info('Slogan is up to date, using cache');
                 return destPath;
             }
 
-            logger.info('Downloading new slogan image...');
-            await this.downloadFile(url, destPath);
-
             this.manifest.slogan = destPath;
-            this.manifest.sloganHash = remoteHash;
+            this.manifest.sloganHash = await CoreUtils.calculateMD5(destPath);
             await this.saveManifest();
 
             logger.info('Slogan cached successfully');
@@ -344,6 +319,13 @@ class AssetCache {
         return null;
     }
 
+    async invalidateNewsData() {
+        this.manifest.newsData = null;
+        this.manifest.newsDataTimestamp = null;
+        this.manifest.newsBanners = {};
+        await this.saveManifest();
+    }
+
     async checkAndUpdateNewsData(apiConfig) {
         try {
             if (!apiConfig) {
@@ -501,6 +483,8 @@ class AssetCache {
                 slogan: null,
                 backgroundFileHash: null,
                 sloganHash: null,
+                backgroundFileValidators: null,
+                sloganValidators: null,
                 socialIcons: {},
                 socialIconsTimestamp: null,
                 newsBanners: {},
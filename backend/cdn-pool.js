@@ -0,0 +1,142 @@
+const { CONSTANTS, CoreUtils } = require('./core');
+const { logger } = require('./logger');
+const { httpClient } = require('./http-client');
+const { apiConfig } = require('./api-config');
+
+const badNodes = new Set();
+
+async function probeNode(url, signal) {
+    const startTime = Date.now();
+    const { response } = await httpClient.request(url, {
+        method: 'HEAD',
+        signal,
+        connectTimeout: CONSTANTS.CDN_PROBE_TIMEOUT,
+        decompress: false
+    });
+    response.resume();
+    return Date.now() - startTime;
+}
+
+class CdnPool {
+    // Reads the live version and file index of a channel without the download
+    // managers, for features that only need to compare against it.
+    static async fetchChannelConfig(versionType, signal) {
+        const gameConfig = JSON.parse(await CoreUtils.httpRequest(apiConfig.getGameIndexUrl(), signal));
+        const channelConfig = gameConfig[versionType];
+        if (!channelConfig) {
+            throw new Error(`Could not find a '${versionType}' configuration.`);
+        }
+        return channelConfig;
+    }
+
+    static async fetchChannelIndex(versionType, signal) {
+        const channelConfig = await CdnPool.fetchChannelConfig(versionType, signal);
+        const cdnPool = new CdnPool(channelConfig.cdnList);
+        const index = JSON.parse(await cdnPool.fetchText(channelConfig.config.indexFile, signal));
+
+        return {
+            version: channelConfig.version,
+            resources: index.resource
+        };
+    }
+
+    constructor(cdnList = []) {
+        this.nodes = cdnList
+            .filter(cdn => cdn?.url)
+            .map(cdn => ({
+                url: cdn.url,
+                latency: Infinity,
+                failures: 0
+            }));
+
+        if (this.nodes.length === 0) {
+            throw new Error('No CDN nodes available in the remote configuration.');
+        }
+    }
+
+    async rankByLatency(probePath, signal) {
+        await Promise.all(this.nodes.map(async (node) => {
+            if (badNodes.has(node.url)) return;
+
+            try {
+                node.latency = await probeNode(CoreUtils.combineUrl(node.url, probePath), signal);
+            } catch (error) {
+                node.latency = Infinity;
+                logger.warn(`CDN probe failed for ${node.url}: ${error.message}`);
+            }
+        }));
+
+        this.nodes.sort((a, b) => a.latency - b.latency);
+
+        const ranking = this.nodes
+            .map(node => `${node.url} (${isFinite(node.latency) ? `${node.latency}ms` : 'unreachable'})`)
+            .join(', ');
+        logger.info(`CDN ranking: ${ranking}`);
+    }
+
+    get current() {
+        const healthy = this.nodes.find(node => !badNodes.has(node.url));
+        if (healthy) return healthy;
+
+        return this.nodes.reduce((best, node) => node.failures < best.failures ? node : best);
+    }
+
+    resolve(...parts) {
+        return CoreUtils.combineUrl(this.current.url, ...parts);
+    }
+
+    reportSuccess(nodeUrl) {
+        const node = this.nodes.find(n => n.url === nodeUrl);
+        if (node) node.failures = 0;
+
+        // A mirror that answers again, e.g. as the last resort in fetchText,
+        // is trusted again.
+        if (badNodes.delete(nodeUrl)) {
+            logger.info(`CDN node is responding again: ${nodeUrl}`);
+        }
+    }
+
+    reportFailure(nodeUrl, error) {
+        const node = this.nodes.find(n => n.url === nodeUrl);
+        if (!node) return;
+
+        node.failures++;
+        if (node.failures >= CONSTANTS.CDN_MAX_NODE_FAILURES && !badNodes.has(node.url)) {
+            badNodes.add(node.url);
+            logger.warn(`Marking CDN node as bad for this session: ${node.url} (${error?.message || 'repeated failures'})`);
+
+            const next = this.current;
+            if (next.url !== node.url) {
+                logger.info(`Failing over to CDN node: ${next.url}`);
+            }
+        }
+    }
+
+    async fetchText(relativePath, signal) {
+        const candidates = [
+            ...this.nodes.filter(node => !badNodes.has(node.url)),
+            ...this.nodes.filter(node => badNodes.has(node.url))
+        ];
+
+        let lastError = null;
+        for (const node of candidates) {
+            if (signal?.aborted) break;
+
+            try {
+                const data = await CoreUtils.httpRequest(CoreUtils.combineUrl(node.url, relativePath), signal);
+                this.reportSuccess(node.url);
+                return data;
+            } catch (error) {
+                lastError = error;
+                logger.warn(`Failed to fetch ${relativePath} from ${node.url}: ${error.message}`);
+                this.reportFailure(node.url, error);
+            }
+        }
+
+        throw lastError || new Error(`Failed to fetch ${relativePath} from any CDN node.`);
+    }
+}
+
+module.exports = {
+    CdnPool
+};
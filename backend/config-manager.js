@@ -1,6 +1,6 @@
 const { promises: fs } = require('fs');
 const path = require('path');
-const { app, ipcMain, dialog, shell } = require('electron');
+const { app, ipcMain, dialog, shell, session } = require('electron');
 
 const {
     CONSTANTS,
@@ -10,6 +10,10 @@ const {
 } = require('./core');
 const { logger } = require('./logger');
 const { LOGS_DIR } = require('./logger');
+const { PROXY_MODES, proxyManager } = require('./proxy');
+const { lanPeerManager } = require('./lan-peers');
+const { PROFILE_KEYS, createProfile } = require('./profile-manager');
+const { apiConfig } = require('./api-config');
 
 class LauncherConfig {
     constructor() {
@@ -57,6 +61,7 @@ class LauncherConfig {
             }
 
             this.config = this._mergeWithDefaults(existingConfig);
+            this._ensureProfiles();
 
             this.isLoaded = true;
             logger.info('Configuration loaded successfully');
@@ -71,7 +76,8 @@ class LauncherConfig {
         } catch (error) {
             logger.error('Failed to load configuration:', error);
 
-            this.config = { ...DEFAULT_CONFIGS.LAUNCHER };
+            this.config = JSON.parse(JSON.stringify(DEFAULT_CONFIGS.LAUNCHER));
+            this._ensureProfiles();
             this.isLoaded = true;
             logger.info('Using default configuration as fallback');
         }
@@ -98,6 +104,37 @@ class LauncherConfig {
         return merged;
     }
 
+    // Configs from before profiles kept a single installation at the top
+    // level; it becomes the first profile.
+    _ensureProfiles() {
+        if (!Array.isArray(this.config.profiles)) {
+            this.config.profiles = [];
+        }
+
+        if (this.config.profiles.length === 0) {
+            const legacy = {};
+            PROFILE_KEYS.forEach(key => {
+                if (key in this.config) legacy[key] = this.config[key];
+            });
+            this.config.profiles.push(createProfile(legacy));
+        }
+
+        this.config.profiles = this.config.profiles.map(profile => createProfile(profile));
+        if (!this.config.profiles.some(p => p.id === this.config.activeProfileId)) {
+            this.config.activeProfileId = this.config.profiles[0].id;
+        }
+
+        PROFILE_KEYS.forEach(key => delete this.config[key]);
+    }
+
+    getActiveProfile() {
+        return this.config.profiles?.find(p => p.id === this.config.activeProfileId) || null;
+    }
+
+    _getRoot(key) {
+        return PROFILE_KEYS.includes(key) ? this.getActiveProfile() : this.config;
+    }
+
     async waitForLoad() {
         if (!this.isLoaded) {
             await this.load();
@@ -113,7 +150,7 @@ class LauncherConfig {
         if (!key) return this.config;
 
         const keys = key.split('.');
-        let value = this.config;
+        let value = this._getRoot(keys[0]);
 
         for (const k of keys) {
             if (value && typeof value === 'object' && k in value) {
@@ -135,7 +172,8 @@ class LauncherConfig {
         if (!key) return false;
 
         const keys = key.split('.');
-        let current = this.config;
+        let current = this._getRoot(keys[0]);
+        if (!current) return false;
 
         for (let i = 0; i < keys.length - 1; i++) {
             const k = keys[i];
@@ -224,6 +262,7 @@ class LauncherConfig {
             } catch (error) {}
 
             this.config = JSON.parse(JSON.stringify(DEFAULT_CONFIGS.LAUNCHER));
+            this._ensureProfiles();
             this.isLoaded = true;
 
             try {
@@ -259,7 +298,14 @@ class LauncherConfig {
     }
 
     getAll() {
-        return JSON.parse(JSON.stringify(this.config));
+        const config = JSON.parse(JSON.stringify(this.config));
+        const profile = config.profiles.find(p => p.id === config.activeProfileId);
+        if (profile) {
+            PROFILE_KEYS.forEach(key => {
+                config[key] = profile[key];
+            });
+        }
+        return config;
     }
 
     cleanup() {
@@ -281,10 +327,24 @@ async function manageStartupMethods(enable, execPath, appName = 'PeebifyLauncher
     return await CoreUtils.manageWindowsStartup(enable, execPath, appName);
 }
 
+// The config file only holds the proxy password encrypted; the settings
+// view gets it back in plaintext.
+function getRendererConfig(launcherConfig) {
+    const config = launcherConfig.getAll();
+    if (config.network?.proxy) {
+        const { encryptedPassword, ...proxy } = config.network.proxy;
+        config.network.proxy = {
+            ...proxy,
+            password: proxyManager.getPassword()
+        };
+    }
+    return config;
+}
+
 function setupConfigIPC(launcherConfig) {
     ipcMain.handle('get-config', () => {
         try {
-            return CoreUtils.createStandardResponse(true, launcherConfig.getAll());
+            return CoreUtils.createStandardResponse(true, getRendererConfig(launcherConfig));
         } catch (error) {
             logger.error('Failed to get config:', error);
             return CoreUtils.createStandardResponse(false, null, error.message);
@@ -314,7 +374,7 @@ function setupConfigIPC(launcherConfig) {
     });
 
     ipcMain.handle('get-launcher-settings', () =>
-        launcherConfig.getAll()
+        getRendererConfig(launcherConfig)
     );
 
     ipcMain.handle('browse-game-path', async () => {
@@ -414,6 +474,112 @@ function setupConfigIPC(launcherConfig) {
         }
     });
 
+    ipcMain.handle('save-download-settings', (event, downloadSettings) => {
+        try {
+            const schedules = (downloadSettings.schedules || []).map(schedule => ({
+                start: schedule.start,
+                end: schedule.end,
+                limit: Math.max(0, parseInt(schedule.limit, 10) || 0)
+            }));
+
+            launcherConfig.set('downloads', {
+                speedLimit: Math.max(0, parseInt(downloadSettings.speedLimit, 10) || 0),
+                schedules
+            });
+            return CoreUtils.createStandardResponse(true);
+        } catch (error) {
+            logger.error('Failed to save download settings:', error);
+            return CoreUtils.createStandardResponse(false, null, error.message);
+        }
+    });
+
+    ipcMain.handle('save-verification-settings', (event, verificationSettings) => {
+        try {
+            launcherConfig.set('verification', {
+                storage: verificationSettings.storage === 'hdd' ? 'hdd' : 'ssd',
+                threads: Math.min(CONSTANTS.HASH_THREADS_MAX, Math.max(0, parseInt(verificationSettings.threads, 10) || 0))
+            });
+            return CoreUtils.createStandardResponse(true);
+        } catch (error) {
+            logger.error('Failed to save verification settings:', error);
+            return CoreUtils.createStandardResponse(false, null, error.message);
+        }
+    });
+
+    ipcMain.handle('save-proxy-settings', async (event, proxySettings) => {
+        try {
+            const mode = Object.values(PROXY_MODES).includes(proxySettings.mode) ? proxySettings.mode : PROXY_MODES.SYSTEM;
+            const port = parseInt(proxySettings.port, 10);
+
+            launcherConfig.set('network', {
+                ...launcherConfig.get('network'),
+                proxy: {
+                    mode,
+                    host: String(proxySettings.host || '').trim(),
+                    port: port > 0 && port < 65536 ? port : '',
+                    username: String(proxySettings.username || ''),
+                    noProxy: String(proxySettings.noProxy || '').trim(),
+                    ...proxyManager.protectPassword(String(proxySettings.password || ''))
+                }
+            });
+            await proxyManager.applyToSession(session.defaultSession);
+            return CoreUtils.createStandardResponse(true);
+        } catch (error) {
+            logger.error('Failed to save proxy settings:', error);
+            return CoreUtils.createStandardResponse(false, null, error.message);
+        }
+    });
+
+    ipcMain.handle('save-peer-settings', async (event, peerSettings) => {
+        try {
+            const port = parseInt(peerSettings.port, 10);
+
+            launcherConfig.set('network', {
+                ...launcherConfig.get('network'),
+                peers: {
+                    enabled: Boolean(peerSettings.enabled),
+                    port: port > 0 && port < 65536 ? port : CONSTANTS.LAN_PEER_PORT,
+                    addresses: String(peerSettings.addresses || '').trim()
+                }
+            });
+            await lanPeerManager.applySettings();
+            return CoreUtils.createStandardResponse(true, {
+                sharing: lanPeerManager.isRunning
+            });
+        } catch (error) {
+            logger.error('Failed to save LAN peer settings:', error);
+            return CoreUtils.createStandardResponse(false, null, error.message);
+        }
+    });
+
+    ipcMain.handle('get-api-clients', () => {
+        const clientId = apiConfig.getClientId();
+        return CoreUtils.createStandardResponse(true, {
+            clients: apiConfig.getClients(),
+            activeClient: clientId,
+            customGameIndexUrl: launcherConfig.get(`gameIndexUrls.${clientId}`, '')
+        });
+    });
+
+    ipcMain.handle('save-game-index-url', async (event, url) => {
+        try {
+            const trimmed = String(url || '').trim();
+            if (trimmed && !/^https?:\/\//i.test(trimmed)) {
+                throw new Error('The game index URL must start with http:// or https://.');
+            }
+
+            const clientId = apiConfig.getClientId();
+            launcherConfig.set(`gameIndexUrls.${clientId}`, trimmed);
+            logger.info(`Game index for ${clientId} set to ${trimmed || 'the default'}`);
+            return CoreUtils.createStandardResponse(true, {
+                gameIndexUrl: trimmed
+            });
+        } catch (error) {
+            logger.error('Failed to save game index URL:', error);
+            return CoreUtils.createStandardResponse(false, null, error.message);
+        }
+    });
+
     ipcMain.handle('open-logs-folder', async () => {
         try {
             await CoreUtils.ensureDirectory(LOGS_DIR);
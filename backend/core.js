@@ -1,6 +1,3 @@
-const https = require('https');
-const http = require('http');
-const zlib = require('zlib');
 const crypto = require('crypto');
 const dns = require('dns');
 const { promises: fs } = require('fs');
@@ -11,6 +8,7 @@ const { app } = require('electron');
 const CONSTANTS = {
 
     GAME_CONFIG_URL: 'https://prod-alicdn-gamestarter.kurogame.com/launcher/game/G153/50004_obOHXFrFanqsaIEOmuKroCcbZkQRBC7c/index.json',
+    DEFAULT_API_CLIENT: 'osLive',
 
     GAME_EXECUTABLE: 'Wuthering Waves.exe',
     GAME_CLIENT_PROCESS: 'Client-Win64-Shipping.exe',
@@ -18,21 +16,47 @@ const CONSTANTS = {
     SCREENSHOT_PATH: ['Client', 'Saved', 'ScreenShot'],
     CONFIG_FILE: 'launcher-config.json',
     GAME_CONFIG_FILE: 'launcherDownloadConfig.json',
+    HASH_CACHE_FILE: 'file-hashes.json',
+    PARTIAL_DOWNLOAD_EXTENSION: '.part',
+    SEGMENT_STATE_EXTENSION: '.segments',
+    PREDOWNLOAD_STAGING_DIR: '.peebify-predownload',
+    UPDATE_STAGING_DIR: '.peebify-update',
 
     HTTP_TIMEOUT: 30000,
+    CDN_PROBE_TIMEOUT: 5000,
+    DOWNLOAD_STALL_TIMEOUT: 30000,
     PROCESS_MONITOR_INTERVAL: 50,
     PROGRESS_UPDATE_INTERVAL: 50,
-    VALIDATION_BATCH_SIZE: 100,
     VALIDATION_UPDATE_INTERVAL: 100,
     STREAM_CHUNK_SIZE: 1024 * 1024,
     AUTO_UPDATE_INTERVAL: 4 * 60 * 60 * 1000,
+    GAME_UPDATE_CHECK_INTERVAL: 30 * 60 * 1000,
+    DISK_SPACE_CHECK_INTERVAL: 5000,
+    DISK_SPACE_MIN_FREE: 256 * 1024 * 1024,
+    DISK_SPACE_MARGIN: 512 * 1024 * 1024,
 
     MAX_RETRIES: 10,
     MAX_REPAIR_RETRIES: 10,
     RETRY_DELAY_BASE: 1000,
+    RETRY_DELAY_MAX: 30000,
+    RETRY_BUDGET: 50,
+    CDN_MAX_NODE_FAILURES: 3,
 
     MAX_CONCURRENT_DOWNLOADS: 8,
+    MAX_CONCURRENT_LOCAL_COPIES: 4,
+    LAN_PEER_PORT: 47620,
+    LAN_PEER_TIMEOUT: 3000,
+    LAN_DISCOVERY_TIMEOUT: 1500,
+    LAN_PEER_INDEX_REFRESH: 10 * 60 * 1000,
+    ORPHAN_PREVIEW_LIMIT: 10,
+    DOWNLOAD_QUEUE_PREVIEW_LIMIT: 20,
+    MAX_SEGMENT_CONNECTIONS: 8,
+    SEGMENTED_DOWNLOAD_MIN_SIZE: 256 * 1024 * 1024,
+    SEGMENT_SIZE: 32 * 1024 * 1024,
     MAX_CONCURRENT_REPAIRS: 8,
+    HASH_THREADS_MAX: 8,
+    HASH_THREADS_HDD: 1,
+    MAX_REPAIR_REPORTS: 30,
 
     BUILD_TYPE: 'stable', // Set to 'stable' or 'beta'
     APP_ID: '50004',
@@ -45,6 +69,9 @@ const STATUS = {
         FETCHING_CONFIG: 'Fetching remote configuration...',
         VERIFYING: 'Verifying existing files...',
         DOWNLOADING: 'Downloading...',
+        IMPORTING: 'Copying files from local source...',
+        APPLYING_PREDOWNLOAD: 'Applying pre-downloaded files...',
+        APPLYING_UPDATE: 'Applying update...',
         PAUSED: 'Paused',
         CANCELLED: 'Cancelled',
         COMPLETED: 'Completed',
@@ -56,6 +83,7 @@ const STATUS = {
         FETCHING_INDEX: 'Fetching file index...',
         VALIDATING: 'Validating',
         REPAIRING: 'Repairing',
+        VERIFIED: 'Verified',
         COMPLETED: 'Completed',
         CANCELLED: 'Cancelled',
         ERROR: 'Error'
@@ -63,7 +91,8 @@ const STATUS = {
 };
 
 const VERSION_TYPES = {
-    DEFAULT: 'default'
+    DEFAULT: 'default',
+    PREDOWNLOAD: 'predownload'
 };
 
 const DURATION_FORMATS = {
@@ -74,7 +103,9 @@ const DURATION_FORMATS = {
 
 const DEFAULT_CONFIGS = {
     LAUNCHER: {
-        gamePath: '',
+        profiles: [],
+        activeProfileId: null,
+        gameIndexUrls: {},
         window: {
             width: 1280,
             height: 720,
@@ -85,6 +116,8 @@ const DEFAULT_CONFIGS = {
             minimizeAction: 'minimize',
             startOnBoot: false,
             autoLaunchGame: false,
+            autoCheckGameUpdates: true,
+            autoDownloadUpdates: false,
             startOnBootAction: 'open',
             launchAction: 'minimize',
             invisibleSidebar: false,
@@ -100,6 +133,38 @@ const DEFAULT_CONFIGS = {
             type: 'default',
             path: null,
         },
+        downloads: {
+            speedLimit: 0,
+            schedules: [],
+        },
+        verification: {
+            storage: 'ssd',
+            threads: 0,
+        },
+        network: {
+            proxy: {
+                mode: 'system',
+                host: '',
+                port: '',
+                username: '',
+                encryptedPassword: '',
+                noProxy: '',
+            },
+            peers: {
+                enabled: false,
+                port: 47620,
+                addresses: '',
+            },
+        },
+    },
+
+    PROFILE: {
+        id: '',
+        name: 'Default',
+        gamePath: '',
+        client: CONSTANTS.DEFAULT_API_CLIENT,
+        channel: VERSION_TYPES.DEFAULT,
+        launchArgs: '',
         totalPlaytime: 0,
         mostRecentSession: null,
         isFirstRunPending: false,
@@ -149,8 +214,14 @@ const EXTERNAL_LINKS = {
     }
 };
 
+const NON_RETRYABLE_ERROR_CODES = new Set(['ENOSPC', 'EDQUOT', 'EACCES', 'EPERM', 'EROFS']);
+
 class CoreUtils {
     static isOnline() {
+        // Behind a proxy local DNS may not resolve anything; let the requests decide.
+        const { proxyManager } = require('./proxy');
+        if (proxyManager.getProxy()) return Promise.resolve(true);
+
         return new Promise((resolve) => {
             dns.lookup('google.com', (err) => {
                 resolve(err === null);
@@ -159,34 +230,8 @@ class CoreUtils {
     }
 
     static httpRequest(url, signal) {
-        return new Promise((resolve, reject) => {
-            const protocol = url.startsWith('https:') ? https : http;
-            const request = protocol.get(url, {
-                signal
-            }, (response) => {
-                if (response.statusCode !== 200) {
-                    return reject(new Error(`HTTP ${response.statusCode} for ${url}`));
-                }
-
-                const stream = response.headers['content-encoding'] === 'gzip' ?
-                    response.pipe(zlib.createGunzip()) :
-                    response;
-
-                let data = '';
-                stream.on('data', chunk => data += chunk);
-                stream.on('end', () => resolve(data));
-                stream.on('error', err => reject(new Error(`Stream error: ${err.message}`)));
-            });
-
-            request.on('error', err => {
-                const message = err.name === 'AbortError' ? 'Request aborted' : `Request error: ${err.message}`;
-                reject(new Error(message));
-            });
-
-            request.setTimeout(CONSTANTS.HTTP_TIMEOUT, () => {
-                request.destroy(new Error(`Request timeout: ${url}`));
-            });
-        });
+        const { httpClient } = require('./http-client');
+        return httpClient.getText(url, { signal });
     }
 
     static calculateMD5(filePath) {
@@ -329,6 +374,13 @@ class CoreUtils {
         }
     }
 
+    // Splits launch options the way a shell would: whitespace separated,
+    // with double quotes grouping arguments that contain spaces.
+    static parseCommandLine(commandLine) {
+        const tokens = String(commandLine || '').match(/(?:[^\s"]+|"[^"]*")+/g) || [];
+        return tokens.map(token => token.replace(/"/g, ''));
+    }
+
     static formatDuration(totalSeconds, format = DURATION_FORMATS.DEFAULT) {
         if (isNaN(totalSeconds) || totalSeconds <= 0) return '00:00:00';
 
@@ -402,17 +454,104 @@ class CoreUtils {
         return response;
     }
 
-    static async withRetry(operation, maxRetries = CONSTANTS.MAX_RETRIES, baseDelay = CONSTANTS.RETRY_DELAY_BASE) {
+    // Permanent failures (missing resources, full or read-only disks) fail
+    // immediately; anything that may succeed on another attempt is retried.
+    static isRetryableError(error) {
+        if (!error) return false;
+        if (typeof error.retryable === 'boolean') return error.retryable;
+        if (error.name === 'AbortError') return false;
+
+        if (error.statusCode) {
+            return error.statusCode >= 500 || error.statusCode === 408 || error.statusCode === 429;
+        }
+
+        return !NON_RETRYABLE_ERROR_CODES.has(error.code);
+    }
+
+    static getErrorReason(error) {
+        if (error?.statusCode === 404) return 'File not found on the server (HTTP 404)';
+        if (error?.statusCode >= 500) return `Server error (HTTP ${error.statusCode})`;
+        if (error?.statusCode) return `Request rejected by the server (HTTP ${error.statusCode})`;
+
+        switch (error?.code) {
+            case 'ENOSPC':
+            case 'EDQUOT':
+                return 'Not enough disk space';
+            case 'EACCES':
+            case 'EPERM':
+                return 'Permission denied';
+            case 'EROFS':
+                return 'The install folder is read-only';
+            case 'ETIMEDOUT':
+                return 'Connection timed out';
+            case 'ECONNRESET':
+                return 'Connection was reset';
+            case 'ECONNREFUSED':
+                return 'Connection refused';
+            case 'ENOTFOUND':
+            case 'EAI_AGAIN':
+                return 'Could not resolve the server address';
+            default:
+                return error?.message || 'Unknown error';
+        }
+    }
+
+    static createFileError(error, file, action = 'download') {
+        if (error.file || error.name === 'AbortError') return error;
+
+        const reason = CoreUtils.getErrorReason(error);
+        const suffix = error.retryBudgetExhausted ? ' (too many failed attempts, giving up)' : '';
+        const fileError = new Error(`Failed to ${action} ${file}: ${reason}${suffix}`);
+        fileError.file = file;
+        fileError.reason = reason;
+        fileError.code = error.code;
+        fileError.statusCode = error.statusCode;
+        fileError.cause = error;
+        return fileError;
+    }
+
+    static getRetryDelay(attempt, baseDelay = CONSTANTS.RETRY_DELAY_BASE) {
+        const delay = Math.min(CONSTANTS.RETRY_DELAY_MAX, baseDelay * 2 ** (attempt - 1));
+        return delay / 2 + Math.random() * delay / 2;
+    }
+
+    static async withRetry(operation, maxRetries = CONSTANTS.MAX_RETRIES, baseDelay = CONSTANTS.RETRY_DELAY_BASE, budget = null, signal = null) {
         for (let attempt = 1; attempt <= maxRetries; attempt++) {
             try {
                 return await operation();
             } catch (error) {
-                if (attempt === maxRetries) throw error;
-                await new Promise(resolve => setTimeout(resolve, baseDelay * attempt));
+                if (attempt === maxRetries || !this.isRetryableError(error)) throw error;
+                if (budget && !budget.consume()) {
+                    error.retryBudgetExhausted = true;
+                    throw error;
+                }
+                await new Promise(resolve => {
+                    const done = () => {
+                        clearTimeout(timer);
+                        signal?.removeEventListener('abort', done);
+                        resolve();
+                    };
+                    const timer = setTimeout(done, this.getRetryDelay(attempt, baseDelay));
+                    signal?.addEventListener('abort', done, { once: true });
+                });
             }
         }
     }
 
+    // The first worker to fail stops the others through stop(), and every
+    // worker has returned before its error is rethrown, so nothing is still
+    // writing files once the caller rolls back or resets its state.
+    static async runWorkers(workers, stop) {
+        let failure = null;
+        await Promise.allSettled(workers.map(worker => worker.catch(error => {
+            if (!failure) {
+                failure = error;
+                stop(error);
+            }
+        })));
+        if (failure) throw failure;
+    }
+
     static mergeConfig(defaultConfig, userConfig) {
         const merged = { ...defaultConfig
         };
@@ -594,6 +733,25 @@ class GameUtils extends CoreUtils {
     }
 }
 
+// Caps the retries one download or repair may spend across all of its files,
+// so a failing mirror cannot keep every worker retrying for minutes.
+class RetryBudget {
+    constructor(limit = CONSTANTS.RETRY_BUDGET) {
+        this.limit = limit;
+        this.used = 0;
+    }
+
+    get exhausted() {
+        return this.used >= this.limit;
+    }
+
+    consume() {
+        if (this.exhausted) return false;
+        this.used++;
+        return true;
+    }
+}
+
 class ProgressTracker {
     constructor() {
         this.reset();
@@ -653,5 +811,6 @@ module.exports = {
     EXTERNAL_LINKS,
     CoreUtils,
     GameUtils,
+    RetryBudget,
     ProgressTracker
 };
\ No newline at end of file
@@ -0,0 +1,123 @@
+const { promises: fs } = require('fs');
+const path = require('path');
+
+const { CONSTANTS, CoreUtils } = require('./core');
+const { logger } = require('./logger');
+
+class DiskSpace {
+    static async getFreeSpace(dirPath) {
+        let current = path.resolve(dirPath);
+
+        while (!(await CoreUtils.fileExists(current))) {
+            const parent = path.dirname(current);
+            if (parent === current) break;
+            current = parent;
+        }
+
+        const stats = await fs.statfs(current);
+        return stats.bavail * stats.bsize;
+    }
+
+    static async getFileSize(filePath) {
+        try {
+            return (await fs.stat(filePath)).size;
+        } catch {
+            return 0;
+        }
+    }
+
+    // Segmented downloads write out of order, so the .part size alone would
+    // overstate how much has been received.
+    static async getPartialBytes(partPath) {
+        const state = await CoreUtils.readJsonFile(`${partPath}${CONSTANTS.SEGMENT_STATE_EXTENSION}`);
+        if (Array.isArray(state?.segments)) {
+            return state.segments.reduce((sum, segment) => sum + (segment.received || 0), 0);
+        }
+        return await this.getFileSize(partPath);
+    }
+
+    // Downloads are written next to the file they replace, so the old copy only
+    // frees its space once the new one is complete.
+    static async calculateRequiredSpace(resources, targetPath, { writesInPlace = false } = {}) {
+        let netBytes = 0;
+        const existingSizes = [];
+
+        for (const resource of resources) {
+            const filePath = CoreUtils.normalizePath(targetPath, resource.dest);
+            const size = parseInt(resource.size, 10);
+            const partBytes = await this.getPartialBytes(`${filePath}${CONSTANTS.PARTIAL_DOWNLOAD_EXTENSION}`);
+            const existingBytes = await this.getFileSize(filePath);
+
+            netBytes += size - partBytes - existingBytes;
+            existingSizes.push(existingBytes);
+        }
+
+        const transientBytes = writesInPlace ? 0 : existingSizes
+            .sort((a, b) => b - a)
+            .slice(0, CONSTANTS.MAX_CONCURRENT_DOWNLOADS)
+            .reduce((sum, bytes) => sum + bytes, 0);
+
+        return Math.max(0, netBytes) + transientBytes + CONSTANTS.DISK_SPACE_MARGIN;
+    }
+
+    static async assertEnoughSpace(resources, targetPath, options) {
+        const [required, available] = await Promise.all([
+            this.calculateRequiredSpace(resources, targetPath, options),
+            this.getFreeSpace(targetPath)
+        ]);
+
+        logger.info(`Disk space check: ${this.formatBytes(required)} required, ${this.formatBytes(available)} available at ${targetPath}`);
+
+        if (available < required) {
+            const error = new Error(`Not enough disk space: ${this.formatBytes(required)} required but only ${this.formatBytes(available)} is available. Free up ${this.formatBytes(required - available)} and try again.`);
+            error.code = 'ENOSPC';
+            throw error;
+        }
+
+        return { required, available };
+    }
+
+    static formatBytes(bytes) {
+        return `${(bytes / 1024 / 1024 / 1024).toFixed(2)}GB`;
+    }
+}
+
+class DiskSpaceMonitor {
+    constructor(dirPath, onLowSpace) {
+        this.dirPath = dirPath;
+        this.onLowSpace = onLowSpace;
+        this.timer = null;
+        this.checking = false;
+    }
+
+    start() {
+        this.stop();
+        this.timer = setInterval(() => this.check(), CONSTANTS.DISK_SPACE_CHECK_INTERVAL);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    async check() {
+        if (this.checking) return;
+        this.checking = true;
+
+        try {
+            const freeBytes = await DiskSpace.getFreeSpace(this.dirPath);
+            if (freeBytes < CONSTANTS.DISK_SPACE_MIN_FREE) {
+                this.onLowSpace(freeBytes);
+            }
+        } catch (error) {
+            logger.warn(`Disk space check failed: ${error.message}`);
+        } finally {
+            this.checking = false;
+        }
+    }
+}
+
+module.exports = {
+    DiskSpace,
+    DiskSpaceMonitor
+};
@@ -0,0 +1,182 @@
+const { promises: fs } = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const { CoreUtils } = require('./core');
+const { logger } = require('./logger');
+
+const JOURNAL_DIR = CoreUtils.getAppDataPath('download-journals');
+const JOURNAL_SAVE_INTERVAL = 2000;
+
+class DownloadJournal {
+    constructor(data) {
+        this.data = data;
+        this.completed = new Set(data.completedFiles || []);
+        this.saveTimer = null;
+        this.saveChain = Promise.resolve();
+        this.discarded = false;
+    }
+
+    static getInstallKey(installPath) {
+        const normalized = path.resolve(installPath).toLowerCase();
+        return crypto.createHash('md5').update(normalized).digest('hex').slice(0, 12);
+    }
+
+    static getJournalPath(installPath, version) {
+        const safeVersion = String(version).replace(/[^a-zA-Z0-9._-]/g, '_');
+        return path.join(JOURNAL_DIR, `${this.getInstallKey(installPath)}-${safeVersion}.json`);
+    }
+
+    static async create(installPath, { version, versionType, resources }) {
+        const journal = new DownloadJournal({
+            installPath,
+            version,
+            versionType,
+            createdAt: Date.now(),
+            updatedAt: Date.now(),
+            totalBytes: resources.reduce((sum, r) => sum + parseInt(r.size, 10), 0),
+            completedBytes: 0,
+            resources,
+            completedFiles: []
+        });
+
+        await journal.flush();
+        logger.info(`Download journal created for Patch ${version} (${resources.length} files).`);
+        return journal;
+    }
+
+    static async load(installPath, version) {
+        const data = await CoreUtils.readJsonFile(this.getJournalPath(installPath, version));
+        if (!data || !Array.isArray(data.resources) || data.version !== version) {
+            return null;
+        }
+        return new DownloadJournal(data);
+    }
+
+    static async listForInstall(installPath) {
+        const prefix = `${this.getInstallKey(installPath)}-`;
+        try {
+            const files = await fs.readdir(JOURNAL_DIR);
+            return files
+                .filter(file => file.startsWith(prefix) && file.endsWith('.json'))
+                .map(file => path.join(JOURNAL_DIR, file));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.warn('Failed to list download journals:', error.message);
+            }
+            return [];
+        }
+    }
+
+    static async findPending(installPath) {
+        if (!installPath) return null;
+
+        let latest = null;
+        for (const journalPath of await this.listForInstall(installPath)) {
+            const data = await CoreUtils.readJsonFile(journalPath);
+            if (data && Array.isArray(data.resources) && (!latest || data.updatedAt > latest.updatedAt)) {
+                latest = data;
+            }
+        }
+
+        if (!latest) return null;
+
+        const remainingFiles = latest.resources.length - (latest.completedFiles || []).length;
+        return {
+            installPath: latest.installPath,
+            version: latest.version,
+            versionType: latest.versionType,
+            totalBytes: latest.totalBytes,
+            completedBytes: latest.completedBytes,
+            remainingFiles,
+            updatedAt: latest.updatedAt
+        };
+    }
+
+    static async discardAll(installPath, versionType = null) {
+        for (const journalPath of await this.listForInstall(installPath)) {
+            if (versionType) {
+                const data = await CoreUtils.readJsonFile(journalPath);
+                if (data && data.versionType !== versionType) continue;
+            }
+            await fs.unlink(journalPath).catch(() => {});
+            logger.info(`Discarded stale download journal: ${path.basename(journalPath)}`);
+        }
+    }
+
+    get version() {
+        return this.data.version;
+    }
+
+    get versionType() {
+        return this.data.versionType;
+    }
+
+    get completedBytes() {
+        return this.data.completedBytes;
+    }
+
+    get totalBytes() {
+        return this.data.totalBytes;
+    }
+
+    get resources() {
+        return this.data.resources;
+    }
+
+    getRemainingResources() {
+        return this.data.resources.filter(r => !this.completed.has(r.dest));
+    }
+
+    markCompleted(dest, size) {
+        if (this.completed.has(dest)) return;
+
+        this.completed.add(dest);
+        this.data.completedBytes += size;
+        this.scheduleSave();
+    }
+
+    scheduleSave() {
+        if (this.saveTimer) return;
+
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.flush();
+        }, JOURNAL_SAVE_INTERVAL);
+    }
+
+    flush() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+
+        if (this.discarded) return this.saveChain;
+
+        const journalPath = DownloadJournal.getJournalPath(this.data.installPath, this.data.version);
+        this.saveChain = this.saveChain.then(async () => {
+            this.data.completedFiles = [...this.completed];
+            this.data.updatedAt = Date.now();
+
+            const result = await CoreUtils.writeJsonFile(journalPath, this.data);
+            if (!result.success) {
+                logger.warn(`Failed to save download journal: ${result.error}`);
+            }
+        });
+        return this.saveChain;
+    }
+
+    async discard() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        this.discarded = true;
+
+        await this.saveChain;
+
+        const journalPath = DownloadJournal.getJournalPath(this.data.installPath, this.data.version);
+        await fs.unlink(journalPath).catch(() => {});
+        logger.info(`Download journal for Patch ${this.data.version} removed.`);
+    }
+}
+
+module.exports = {
+    DownloadJournal
+};
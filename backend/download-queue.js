@@ -0,0 +1,130 @@
+const { CONSTANTS } = require('./core');
+
+const FILE_STATE = {
+    QUEUED: 'queued',
+    ACTIVE: 'active',
+    PAUSED: 'paused',
+    DONE: 'done',
+    FAILED: 'failed'
+};
+
+// Per-file state of a running download. Workers take files with next(), and a
+// queued file can be moved to the front so it is downloaded by the next free worker.
+class DownloadQueue {
+    constructor(resources, progressTracker) {
+        this.progressTracker = progressTracker;
+        this.entries = new Map();
+        this.pending = [];
+        this.running = new Set();
+        this.failed = [];
+        this.isPaused = false;
+        this.counts = Object.fromEntries(Object.values(FILE_STATE).map(state => [state, 0]));
+
+        for (const resource of resources) {
+            const entry = {
+                resource,
+                path: resource.dest,
+                size: parseInt(resource.size, 10),
+                state: FILE_STATE.QUEUED,
+                attempts: 0,
+                error: null
+            };
+            this.entries.set(entry.path, entry);
+            this.pending.push(entry);
+        }
+        this.counts[FILE_STATE.QUEUED] = this.pending.length;
+    }
+
+    get hasPending() {
+        return this.pending.length > 0;
+    }
+
+    setState(entry, state) {
+        this.counts[entry.state]--;
+        this.counts[state]++;
+        entry.state = state;
+
+        if (state === FILE_STATE.ACTIVE || state === FILE_STATE.PAUSED) {
+            this.running.add(entry);
+        } else {
+            this.running.delete(entry);
+        }
+    }
+
+    next() {
+        const entry = this.pending.shift();
+        if (!entry) return null;
+
+        this.setState(entry, this.isPaused ? FILE_STATE.PAUSED : FILE_STATE.ACTIVE);
+        return entry.resource;
+    }
+
+    prioritize(filePath) {
+        const index = this.pending.findIndex(entry => entry.path === filePath);
+        if (index === -1) return false;
+
+        this.pending.unshift(...this.pending.splice(index, 1));
+        return true;
+    }
+
+    setPaused(isPaused) {
+        this.isPaused = isPaused;
+        for (const entry of [...this.running]) {
+            this.setState(entry, isPaused ? FILE_STATE.PAUSED : FILE_STATE.ACTIVE);
+        }
+    }
+
+    startAttempt(filePath) {
+        const entry = this.entries.get(filePath);
+        if (entry) entry.attempts++;
+    }
+
+    recordError(filePath, error) {
+        const entry = this.entries.get(filePath);
+        if (entry) entry.error = error.message;
+    }
+
+    markDone(filePath) {
+        const entry = this.entries.get(filePath);
+        if (!entry) return;
+
+        entry.error = null;
+        this.setState(entry, FILE_STATE.DONE);
+    }
+
+    markFailed(filePath, error) {
+        const entry = this.entries.get(filePath);
+        if (!entry || entry.state === FILE_STATE.FAILED) return;
+
+        entry.error = error.message;
+        this.setState(entry, FILE_STATE.FAILED);
+        this.failed.push(entry);
+    }
+
+    describe(entry) {
+        return {
+            path: entry.path,
+            state: entry.state,
+            size: entry.size,
+            bytes: this.progressTracker.fileProgress.get(entry.path) || 0,
+            retries: Math.max(0, entry.attempts - 1),
+            error: entry.error
+        };
+    }
+
+    // Files waiting in the queue are summarized to the first few, so the
+    // snapshot stays small enough to send with every progress update.
+    snapshot() {
+        return {
+            counts: { ...this.counts },
+            active: [...this.running].map(entry => this.describe(entry)),
+            failed: this.failed.map(entry => this.describe(entry)),
+            queued: this.pending.slice(0, CONSTANTS.DOWNLOAD_QUEUE_PREVIEW_LIMIT).map(entry => this.describe(entry))
+        };
+    }
+}
+
+module.exports = {
+    FILE_STATE,
+    DownloadQueue
+};
@@ -4,8 +4,6 @@ const {
     createReadStream
 } = require('fs');
 const path = require('path');
-const https = require('https');
-const http = require('http');
 const crypto = require('crypto');
 const {
     Transform,
@@ -20,11 +18,71 @@ const {
     STATUS,
     VERSION_TYPES,
     CoreUtils,
-    GameUtils
+    GameUtils,
+    RetryBudget
 } = require('./core');
 const {
     logger
 } = require('./logger');
+const {
+    DownloadJournal
+} = require('./download-journal');
+const {
+    CdnPool
+} = require('./cdn-pool');
+const {
+    rateLimiter
+} = require('./rate-limiter');
+const {
+    StagedUpdate
+} = require('./staged-update');
+const {
+    DiskSpace,
+    DiskSpaceMonitor
+} = require('./disk-space');
+const {
+    SegmentedDownload
+} = require('./segmented-download');
+const {
+    LocalSource
+} = require('./local-source');
+const {
+    lanPeerManager
+} = require('./lan-peers');
+const {
+    DownloadQueue
+} = require('./download-queue');
+const {
+    hashCache
+} = require('./hash-cache');
+const {
+    HashPool
+} = require('./hash-pool');
+const {
+    OrphanCleaner,
+    orphanCleaner
+} = require('./orphan-cleaner');
+const {
+    ResourceFilter
+} = require('./resource-filter');
+const {
+    FILE_PROBLEMS,
+    REPORT_STATUS,
+    RepairReport,
+    repairReports
+} = require('./repair-reports');
+const {
+    profileManager
+} = require('./profile-manager');
+const {
+    apiConfig
+} = require('./api-config');
+const {
+    httpClient,
+    HttpError,
+    TimeoutError,
+    AbortError
+} = require('./http-client');
 
 class UIUpdateThrottler {
     constructor(minInterval = 50) {
@@ -53,8 +111,9 @@ class UIUpdateThrottler {
 }
 
 class FileValidator {
-    constructor() {
-        this.validationCache = new Map();
+    constructor({ forceRehash = false, hashPool = null } = {}) {
+        this.forceRehash = forceRehash;
+        this.hashPool = hashPool;
     }
 
     async quickValidate(filePath, expectedSize) {
@@ -68,28 +127,47 @@ class FileValidator {
     }
 
     async deepValidate(filePath, expectedSize, expectedMD5, onProgress) {
+        return (await this.inspect(filePath, expectedSize, expectedMD5, onProgress)) === null;
+    }
+
+    // Returns the FILE_PROBLEMS entry for a file that does not match the index,
+    // or null when it does. Without an expected MD5 only the size is compared.
+    async inspect(filePath, expectedSize, expectedMD5 = null, onProgress = null) {
+        let stats;
         try {
-            const stats = await fs.stat(filePath);
-            if (stats.size !== expectedSize) return false;
+            stats = await fs.stat(filePath);
+        } catch (error) {
+            return error.code === 'ENOENT' ? FILE_PROBLEMS.MISSING : FILE_PROBLEMS.UNREADABLE;
+        }
+        if (stats.size !== expectedSize) return FILE_PROBLEMS.SIZE_MISMATCH;
+        if (!expectedMD5) return null;
 
-            const cacheKey = `${filePath}_${stats.mtime.getTime()}_${stats.size}`;
-            if (this.validationCache.has(cacheKey)) {
-                const cachedMD5 = this.validationCache.get(cacheKey);
+        try {
+            const cachedMD5 = this.forceRehash ? null : await hashCache.lookup(filePath, stats);
+            if (cachedMD5) {
                 if (onProgress) onProgress(stats.size, stats.size, stats.size);
-                return cachedMD5.toLowerCase() === expectedMD5.toLowerCase();
+                return cachedMD5 === expectedMD5.toLowerCase() ? null : FILE_PROBLEMS.HASH_MISMATCH;
             }
 
             const actualMD5 = await this.calculateMD5WithProgress(filePath, stats.size, onProgress);
 
-            this.validationCache.set(cacheKey, actualMD5);
+            await hashCache.store(filePath, stats, actualMD5);
 
-            return actualMD5.toLowerCase() === expectedMD5.toLowerCase();
+            return actualMD5.toLowerCase() === expectedMD5.toLowerCase() ? null : FILE_PROBLEMS.HASH_MISMATCH;
         } catch {
-            return false;
+            return FILE_PROBLEMS.UNREADABLE;
         }
     }
 
     calculateMD5WithProgress(filePath, fileSize, onProgress) {
+        if (this.hashPool) {
+            let processed = 0;
+            return this.hashPool.hash(filePath, (chunkLength) => {
+                processed += chunkLength;
+                if (onProgress) onProgress(chunkLength, processed, fileSize);
+            });
+        }
+
         return new Promise((resolve, reject) => {
             const hash = crypto.createHash('md5');
             const stream = createReadStream(filePath, {
@@ -115,8 +193,8 @@ class FileValidator {
         });
     }
 
-    clearCache() {
-        this.validationCache.clear();
+    flushCache() {
+        return hashCache.flush();
     }
 }
 
@@ -176,6 +254,14 @@ class ProgressTracker {
         this.downloadedBytes = Math.min(this.downloadedBytes, this.totalBytes);
     }
 
+    setFileProgress(fileId, bytes) {
+        const currentFileProgress = this.fileProgress.get(fileId) || 0;
+        this.fileProgress.set(fileId, bytes);
+        this.downloadedBytes += bytes - currentFileProgress;
+
+        this.downloadedBytes = Math.max(0, Math.min(this.downloadedBytes, this.totalBytes));
+    }
+
     setFileSizes(fileSizeMap) {
         this.fileSizes = fileSizeMap;
     }
@@ -286,6 +372,10 @@ class ProgressStream extends Transform {
         this.progressTracker = progressTracker;
         this.lastProgressUpdate = 0;
         this.onProgress = null;
+        this.hash = null;
+        this.rateLimited = true;
+        this.maxBytes = null;
+        this.receivedBytes = 0;
     }
 
     static createForRepair(onProgress, options) {
@@ -295,13 +385,28 @@ class ProgressStream extends Transform {
         return stream;
     }
 
-    _transform(chunk, encoding, callback) {
+    async _transform(chunk, encoding, callback) {
         if (this.isDestroyed) {
             callback();
             return;
         }
 
         try {
+            this.receivedBytes += chunk.length;
+            if (this.maxBytes !== null && this.receivedBytes > this.maxBytes) {
+                const error = new Error(`Received more than the expected ${this.maxBytes} bytes for ${this.fileId}`);
+                error.code = 'EFBIG';
+                throw error;
+            }
+
+            if (this.rateLimited) {
+                await rateLimiter.consume(chunk.length);
+            }
+            if (this.isDestroyed || this.destroyed) {
+                callback();
+                return;
+            }
+
             if (this.fileId && this.progressTracker) {
 
                 this.progressTracker.updateFileProgress(this.fileId, chunk.length);
@@ -314,6 +419,8 @@ class ProgressStream extends Transform {
                 this.onProgress(chunk.length);
             }
 
+            if (this.hash) this.hash.update(chunk);
+
             this.push(chunk);
             callback();
         } catch (error) {
@@ -356,10 +463,10 @@ class ValidationPipeline {
             const expectedMD5 = resource.md5;
             let bytesHashed = 0;
 
-            const isValid = await this.validator.deepValidate(
+            const problem = await this.validator.inspect(
                 filePath,
                 expectedSize,
-                expectedMD5,
+                metadata.verifiedFiles?.has(resource.dest) ? null : expectedMD5,
                 (chunkSize) => {
                     bytesHashed += chunkSize;
                     this.progressTracker.updateValidationProgress(chunkSize, resource.dest);
@@ -373,15 +480,16 @@ class ValidationPipeline {
             }
             this.progressTracker.processedFiles += 1;
 
-            if (!isValid) {
+            if (problem) {
                 invalidFiles.push(resource);
-                logger.warn(`Invalid file detected: ${resource.dest}`);
+                metadata.report?.addProblem(resource, problem);
+                logger.warn(`Invalid file detected (${problem}): ${resource.dest}`);
             }
 
             this.sendProgress();
         }
 
-        this.validator.clearCache();
+        await this.validator.flushCache();
         logger.info(`Validation complete. Found ${invalidFiles.length} invalid files.`);
         return invalidFiles;
     }
@@ -444,34 +552,139 @@ class GameDownloadManager {
         this.state = {
             isDownloading: false,
             isPaused: false,
-            abortController: null
+            isCancelledByUser: false,
+            abortController: null,
+            workerError: null
         };
         this.progressTracker.reset();
         this.activeStreams = new Set();
         this.completedFiles = new Set();
+        this.resumeWaiters = new Set();
+        this.queue = null;
+        this.activeDownloads = 0;
+        this.retryBudget = null;
         this.currentPatchVersion = null;
+        this.journal = null;
+        this.cdnPool = null;
+        this.peers = [];
     }
 
-    async downloadGame(installPath, versionType = VERSION_TYPES.DEFAULT, localVersion = null) {
+    async downloadGame(installPath, versionType = VERSION_TYPES.DEFAULT, localVersion = null, options = {}) {
         if (this.state.isDownloading) {
             return CoreUtils.createStandardResponse(false, null, 'A download is already in progress.');
         }
 
         this.initializeDownload();
+        let journal = null;
+        let staged = null;
+        let localSource = null;
+        const swaps = [];
 
         try {
-            const config = await this.getGameConfig(versionType);
+            // A profile may follow another channel of the index; versionType still
+            // decides whether files are installed or staged as a pre-download.
+            const config = await this.getGameConfig(options.channel || versionType);
             this.currentPatchVersion = config.version;
             await CoreUtils.ensureDirectory(installPath);
 
-            const filesToDownload = await this.getFilesToDownload(config.resources, installPath);
+            if (options.localSource) {
+                localSource = await LocalSource.open(options.localSource, config.resources);
+                logger.info(`Installing from local source: ${options.localSource}`);
+            }
+
+            const isPredownload = versionType === VERSION_TYPES.PREDOWNLOAD;
+            const stagingDir = isPredownload ? CONSTANTS.PREDOWNLOAD_STAGING_DIR : CONSTANTS.UPDATE_STAGING_DIR;
+            staged = new StagedUpdate(installPath, config.version, stagingDir);
+
+            await StagedUpdate.recover(installPath, CONSTANTS.PREDOWNLOAD_STAGING_DIR);
+            await StagedUpdate.recover(installPath, CONSTANTS.UPDATE_STAGING_DIR);
+
+            if (!isPredownload) {
+                const predownload = await this.applyPredownload(installPath, config.version);
+                if (predownload) swaps.push(predownload);
+            }
+
+            let filesToDownload;
+            journal = await DownloadJournal.load(installPath, config.version);
+            if (journal && journal.versionType !== versionType) {
+                journal = null;
+            }
+
+            if (journal) {
+                filesToDownload = journal.getRemainingResources();
+                logger.info(`Resuming journaled download of Patch ${config.version}: ${filesToDownload.length} files remaining.`);
+                this.prepareDownloadProgress(filesToDownload, journal.totalBytes, journal.completedBytes);
+            } else {
+                await DownloadJournal.discardAll(installPath, versionType);
+                await StagedUpdate.discardAll(installPath, stagingDir);
+
+                filesToDownload = await this.getFilesToDownload(config.resources, installPath);
 
-            if (filesToDownload.length === 0) {
+                if (filesToDownload.length > 0) {
+                    journal = await DownloadJournal.create(installPath, {
+                        version: config.version,
+                        versionType,
+                        resources: filesToDownload
+                    });
+                    this.prepareDownloadProgress(filesToDownload, journal.totalBytes, journal.completedBytes);
+                }
+            }
+            this.journal = journal;
+
+            if (!journal) {
                 logger.info('All files are valid, no download needed.');
+                if (isPredownload) {
+                    return await this.completePredownload(staged, []);
+                }
+                await this.commitSwaps(installPath, swaps);
                 return await this.completeDownload(installPath, config.version, config.resources);
             }
 
-            await this.executeDownload(filesToDownload, config.baseUrl, installPath);
+            await DiskSpace.assertEnoughSpace(filesToDownload, staged.filesDir);
+
+            if (localSource && filesToDownload.length > 0) {
+                const imported = new Set(await this.importFromLocalSource(localSource, filesToDownload, staged.filesDir));
+                filesToDownload = filesToDownload.filter(r => !imported.has(r.dest));
+            }
+
+            if (filesToDownload.length > 0) {
+                this.peers = await lanPeerManager.findPeers(config.version, this.state.abortController.signal);
+            }
+
+            await this.executeDownload(filesToDownload, config.basePath, staged.filesDir);
+            await journal.flush();
+
+            const verifiedFiles = new Set([...journal.completed, ...this.completedFiles]);
+
+            logger.info('Verifying staged files before applying them...');
+            const stagedInvalid = await this.validationPipeline.validateResources(
+                journal.resources,
+                staged.filesDir,
+                this.state.abortController?.signal, {
+                    isFinal: true,
+                    version: this.currentPatchVersion,
+                    verifiedFiles
+                }
+            );
+
+            if (stagedInvalid.length > 0) {
+                await journal.discard();
+                journal = null;
+                throw new Error(`Validation failed: ${stagedInvalid.length} files are still corrupt after download.`);
+            }
+
+            const stagedResources = journal.resources;
+            await journal.discard();
+            journal = null;
+
+            if (isPredownload) {
+                return await this.completePredownload(staged, stagedResources);
+            }
+
+            this.sendProgress(STATUS.DOWNLOAD.APPLYING_UPDATE);
+            await staged.markComplete(stagedResources);
+            swaps.push(staged);
+            await staged.apply();
 
             logger.info('Running final, full validation to ensure integrity...');
             const finalInvalid = await this.validationPipeline.validateResources(
@@ -479,34 +692,224 @@ class GameDownloadManager {
                 installPath,
                 this.state.abortController?.signal, {
                     isFinal: true,
-                    version: this.currentPatchVersion
+                    version: this.currentPatchVersion,
+                    verifiedFiles
                 }
             );
 
             if (finalInvalid.length > 0) {
-                throw new Error(`Validation failed: ${finalInvalid.length} files are still corrupt after download.`);
+                throw new Error(`Validation failed: ${finalInvalid.length} files are corrupt after applying the update.`);
             }
 
+            await this.commitSwaps(installPath, swaps);
             return await this.completeDownload(installPath, config.version, config.resources);
 
         } catch (error) {
+            for (const swap of swaps.reverse()) {
+                await swap.rollback();
+            }
+
+            if (journal) {
+                if (this.state.isCancelledByUser) {
+                    await journal.discard();
+                } else {
+                    await journal.flush();
+                }
+            }
+
+            if (this.state.isCancelledByUser && staged) {
+                await staged.discard();
+            }
             return this.handleDownloadError(error);
         } finally {
+            await localSource?.close();
             this.reset();
         }
     }
 
+    // Copies files from a local folder or archive into the staging directory.
+    // A copy is only kept when its size and MD5 match the remote index, so a
+    // partial or outdated source simply leaves more for the regular download.
+    async importFromLocalSource(source, resources, targetDir) {
+        const candidates = [];
+        for (const resource of resources) {
+            if (await source.getSize(resource.dest) === parseInt(resource.size, 10)) {
+                candidates.push(resource);
+            }
+        }
+
+        logger.info(`Local source has ${candidates.length} of ${resources.length} needed files with a matching size.`);
+        if (candidates.length === 0) return [];
+
+        this.progressTracker.setPhase('downloading', STATUS.DOWNLOAD.IMPORTING);
+        this.sendProgress(STATUS.DOWNLOAD.IMPORTING);
+
+        const imported = [];
+        const queue = [...candidates];
+        const workers = Array(CONSTANTS.MAX_CONCURRENT_LOCAL_COPIES).fill(null).map(async () => {
+            while (queue.length > 0) {
+                if (this.state.abortController?.signal.aborted) {
+                    throw new AbortError('Download aborted by user.');
+                }
+
+                if (this.state.isPaused) {
+                    await this.waitForResume();
+                    continue;
+                }
+
+                const resource = queue.shift();
+                if (await this.copyFromLocalSource(source, resource, targetDir)) {
+                    imported.push(resource.dest);
+                }
+            }
+        });
+        await CoreUtils.runWorkers(workers, error => this.stopWorkers(error));
+
+        logger.info(`Copied ${imported.length} files from local source, ${resources.length - imported.length} left to download.`);
+        return imported;
+    }
+
+    async copyFromLocalSource(source, resource, targetDir) {
+        const fileId = resource.dest;
+        const filePath = CoreUtils.normalizePath(targetDir, fileId);
+        const partPath = `${filePath}${CONSTANTS.PARTIAL_DOWNLOAD_EXTENSION}`;
+        const hash = crypto.createHash('md5');
+
+        await CoreUtils.ensureDirectory(path.dirname(filePath));
+        const output = await fs.open(partPath, 'w');
+
+        try {
+            const input = await source.openReadStream(fileId);
+            for await (const chunk of input) {
+                if (this.state.isPaused) {
+                    await this.waitForResume();
+                }
+                if (this.state.abortController?.signal.aborted) {
+                    throw new AbortError('Download aborted by user.');
+                }
+
+                hash.update(chunk);
+                await output.write(chunk);
+                this.progressTracker.updateFileProgress(fileId, chunk.length);
+
+                if (this.progressTracker.uiThrottler.shouldUpdate()) {
+                    this.sendProgress(STATUS.DOWNLOAD.IMPORTING);
+                }
+            }
+        } catch (error) {
+            await output.close();
+            await fs.unlink(partPath).catch(() => {});
+            this.progressTracker.setFileProgress(fileId, 0);
+
+            if (error instanceof AbortError || error.code === 'ENOSPC') throw error;
+            logger.warn(`Could not copy ${fileId} from local source: ${error.message}`);
+            return false;
+        }
+        await output.close();
+
+        const actualMD5 = hash.digest('hex');
+        if (resource.md5 && actualMD5 !== resource.md5.toLowerCase()) {
+            logger.warn(`Local copy of ${fileId} does not match (expected ${resource.md5}, got ${actualMD5}), it will be downloaded.`);
+            await fs.unlink(partPath).catch(() => {});
+            this.progressTracker.setFileProgress(fileId, 0);
+            return false;
+        }
+
+        await fs.rename(partPath, filePath);
+        this.completedFiles.add(fileId);
+        this.journal?.markCompleted(fileId, parseInt(resource.size, 10));
+        return true;
+    }
+
+    async applyPredownload(installPath, liveVersion) {
+        const staged = await StagedUpdate.load(installPath);
+        if (!staged) return null;
+
+        if (staged.version !== liveVersion || !staged.isComplete) {
+            if (!CoreUtils.isVersionNewer(staged.version, liveVersion)) {
+                logger.info(`Discarding unusable pre-download for Patch ${staged.version}.`);
+                await staged.discard();
+                await DownloadJournal.discardAll(installPath, VERSION_TYPES.PREDOWNLOAD);
+            }
+            return null;
+        }
+
+        this.sendProgress(STATUS.DOWNLOAD.APPLYING_PREDOWNLOAD);
+
+        try {
+            await staged.apply();
+            return staged;
+        } catch (error) {
+            logger.warn(`Could not apply pre-download, continuing with a regular update: ${error.message}`);
+            await staged.discard();
+            return null;
+        }
+    }
+
+    // Every staged file matched its index MD5 before it was swapped in, so its
+    // hash is cached and the next Full Check does not read it again.
+    async commitSwaps(installPath, swaps) {
+        await Promise.all(swaps.map(swap => swap.commit()));
+
+        for (const resource of swaps.flatMap(swap => swap.manifest?.resources || [])) {
+            if (!resource.md5) continue;
+
+            const filePath = CoreUtils.normalizePath(installPath, resource.dest);
+            const stats = await fs.stat(filePath).catch(() => null);
+            if (stats) await hashCache.store(filePath, stats, resource.md5);
+        }
+        await hashCache.flush();
+    }
+
+    async completePredownload(staged, resources) {
+        await staged.markComplete(resources);
+        logger.info(`Pre-download of Patch ${staged.version} completed (${resources.length} files staged).`);
+
+        if (this.gameManager) {
+            this.gameManager.clearUpdateCache();
+        }
+
+        this.sendProgress(STATUS.DOWNLOAD.COMPLETED, {
+            percentage: 100
+        });
+
+        if (this.mainWindow && !this.mainWindow.isDestroyed()) {
+            this.mainWindow.webContents.send('predownload-complete', {
+                version: staged.version
+            });
+        }
+
+        return CoreUtils.createStandardResponse(true, {
+            predownloaded: true,
+            version: staged.version
+        });
+    }
+
+    // Files the new index no longer lists are only reported here; they are
+    // removed once the user confirms.
+    async reportOrphanedFiles(installPath, resources) {
+        try {
+            const scan = await orphanCleaner.scan(installPath, resources);
+            if (scan.files.length > 0 && this.mainWindow && !this.mainWindow.isDestroyed()) {
+                this.mainWindow.webContents.send('orphaned-files-found', OrphanCleaner.summarize(scan));
+            }
+        } catch (error) {
+            logger.warn(`Could not scan for orphaned files: ${error.message}`);
+        }
+    }
+
     initializeDownload() {
         this.reset();
         this.state.isDownloading = true;
         this.state.abortController = new AbortController();
+        this.retryBudget = new RetryBudget();
     }
 
     async getGameConfig(versionType = VERSION_TYPES.DEFAULT) {
         this.sendProgress(STATUS.DOWNLOAD.FETCHING_CONFIG);
 
         const gameConfig = JSON.parse(await CoreUtils.httpRequest(
-            CONSTANTS.GAME_CONFIG_URL,
+            apiConfig.getGameIndexUrl(),
             this.state.abortController?.signal
         ));
 
@@ -515,15 +918,15 @@ class GameDownloadManager {
             throw new Error(`Could not find a '${versionType}' configuration.`);
         }
 
-        const cdnUrl = channelConfig.cdnList[0].url;
-        const resourceListUrl = CoreUtils.combineUrl(cdnUrl, channelConfig.config.indexFile);
-        const baseUrl = CoreUtils.combineUrl(cdnUrl, channelConfig.config.baseUrl);
-        const response = await CoreUtils.httpRequest(resourceListUrl, this.state.abortController?.signal);
+        this.cdnPool = new CdnPool(channelConfig.cdnList);
+        await this.cdnPool.rankByLatency(channelConfig.config.indexFile, this.state.abortController?.signal);
+
+        const response = await this.cdnPool.fetchText(channelConfig.config.indexFile, this.state.abortController?.signal);
         const resources = JSON.parse(response).resource;
 
         return {
             resources,
-            baseUrl,
+            basePath: channelConfig.config.baseUrl,
             version: channelConfig.version
         };
     }
@@ -542,37 +945,56 @@ class GameDownloadManager {
             sum + parseInt(r.size, 10), 0
         );
 
-        this.progressTracker.reset();
-        this.progressTracker.totalBytes = totalSizeToDownload;
-        this.progressTracker.totalFiles = invalidFiles.length;
-
-        const fileSizeMap = new Map(invalidFiles.map(r => [r.dest, parseInt(r.size, 10)]));
-        this.progressTracker.setFileSizes(fileSizeMap);
+        this.prepareDownloadProgress(invalidFiles, totalSizeToDownload);
 
         logger.info(`Files to download: ${invalidFiles.length}, Total size: ${(totalSizeToDownload/1024/1024/1024).toFixed(2)}GB`);
 
         return invalidFiles;
     }
 
-    async executeDownload(filesToDownload, baseUrl, installPath) {
+    prepareDownloadProgress(files, totalBytes, completedBytes = 0) {
+        this.progressTracker.reset();
+        this.progressTracker.totalBytes = totalBytes;
+        this.progressTracker.totalFiles = files.length;
+        this.progressTracker.downloadedBytes = completedBytes;
+
+        const fileSizeMap = new Map(files.map(r => [r.dest, parseInt(r.size, 10)]));
+        this.progressTracker.setFileSizes(fileSizeMap);
+    }
+
+    async executeDownload(filesToDownload, basePath, installPath) {
         logger.info(`Starting download of ${filesToDownload.length} files...`);
         const statusText = this.currentPatchVersion ? `Downloading Patch ${this.currentPatchVersion}` : STATUS.DOWNLOAD.DOWNLOADING;
         this.progressTracker.setPhase('downloading', 'Downloading files...');
         this.sendProgress(statusText);
 
-        const queue = [...filesToDownload];
+        this.queue = new DownloadQueue(filesToDownload, this.progressTracker);
         const workers = Array(CONSTANTS.MAX_CONCURRENT_DOWNLOADS).fill(null)
-            .map(() => this.worker(queue, baseUrl, installPath));
+            .map(() => this.worker(basePath, installPath));
 
-        await Promise.all(workers);
+        const diskMonitor = new DiskSpaceMonitor(installPath, freeBytes => this.pauseForLowDiskSpace(freeBytes));
+        diskMonitor.start();
+        try {
+            await CoreUtils.runWorkers(workers, error => this.stopWorkers(error));
+        } finally {
+            diskMonitor.stop();
+        }
 
         if (this.state.abortController.signal.aborted) {
             throw new Error("Download was cancelled by the user.");
         }
     }
 
-    async worker(queue, baseUrl, installPath) {
-        while (queue.length > 0) {
+    // Stops the other workers after one failed. The failure, not a
+    // cancellation, is what gets reported.
+    stopWorkers(error) {
+        if (this.state.abortController?.signal.aborted) return;
+        this.state.workerError = error;
+        this.state.abortController?.abort();
+    }
+
+    async worker(basePath, installPath) {
+        while (this.queue.hasPending) {
             if (this.state.abortController?.signal.aborted) {
                 throw new Error("Download aborted by user.");
             }
@@ -582,79 +1004,317 @@ class GameDownloadManager {
                 continue;
             }
 
-            const resource = queue.shift();
+            const resource = this.queue.next();
             if (resource) {
-                await this.downloadFileWithRetry(resource, baseUrl, installPath);
+                this.activeDownloads++;
+                try {
+                    await this.downloadFileWithRetry(resource, basePath, installPath);
+                } finally {
+                    this.activeDownloads--;
+                }
             }
         }
     }
 
     waitForResume() {
+        const signal = this.state.abortController?.signal;
+        if (!this.state.isPaused || signal?.aborted) return Promise.resolve();
+
         return new Promise((resolve) => {
-            const checkInterval = setInterval(() => {
-                if (!this.state.isPaused || this.state.abortController?.signal.aborted) {
-                    clearInterval(checkInterval);
-                    resolve();
-                }
-            }, 100);
+            const release = () => {
+                this.resumeWaiters.delete(release);
+                signal?.removeEventListener('abort', release);
+                resolve();
+            };
+            this.resumeWaiters.add(release);
+            signal?.addEventListener('abort', release, { once: true });
         });
     }
 
-    async downloadFileWithRetry(resource, baseUrl, installPath) {
+    async downloadFileWithRetry(resource, basePath, installPath) {
         const filePath = CoreUtils.normalizePath(installPath, resource.dest);
+        const partPath = `${filePath}${CONSTANTS.PARTIAL_DOWNLOAD_EXTENSION}`;
         const fileSize = parseInt(resource.size, 10);
         const fileId = resource.dest;
+        const triedPeers = new Set();
+
+        const attemptDownload = async () => {
+            if (this.state.isPaused) {
+                await this.waitForResume();
+            }
 
-        return await CoreUtils.withRetry(async () => {
             if (this.state.abortController?.signal.aborted) {
-                throw new Error('Download aborted by user.');
+                throw new AbortError('Download aborted by user.');
             }
 
             await CoreUtils.ensureDirectory(path.dirname(filePath));
 
-            const url = CoreUtils.combineUrl(baseUrl, resource.dest);
-            await this.downloadAndPipe(url, filePath, fileId, fileSize);
+            let actualMD5 = await this.downloadFromPeers(resource, partPath, triedPeers);
+            if (!actualMD5) {
+                const node = this.cdnPool.current;
+                try {
+                    const url = CoreUtils.combineUrl(node.url, basePath, resource.dest);
+                    actualMD5 = SegmentedDownload.shouldSegment(fileSize) ?
+                        await this.downloadSegmented(url, partPath, fileId, fileSize) :
+                        await this.downloadAndPipe(url, partPath, fileId, fileSize);
+                } catch (error) {
+                    if (error.code === 'ENOSPC') {
+                        const freeBytes = await DiskSpace.getFreeSpace(installPath).catch(() => 0);
+                        this.pauseForLowDiskSpace(freeBytes);
+                    } else if (!this.state.abortController?.signal.aborted && CoreUtils.isRetryableError(error)) {
+                        // Missing or rejected files are not the mirror's fault.
+                        this.cdnPool.reportFailure(node.url, error);
+                    }
+                    throw error;
+                }
+                this.cdnPool.reportSuccess(node.url);
+            }
 
             const validator = new FileValidator();
-            if (!(await validator.quickValidate(filePath, fileSize))) {
+            if (!(await validator.quickValidate(partPath, fileSize))) {
+                await fs.unlink(partPath).catch(() => {});
                 throw new Error('File validation failed after download.');
             }
 
+            if (resource.md5 && actualMD5 !== resource.md5.toLowerCase()) {
+                logger.warn(`MD5 mismatch for ${fileId} (expected ${resource.md5}, got ${actualMD5}), downloading again.`);
+                await fs.unlink(partPath).catch(() => {});
+                this.progressTracker.setFileProgress(fileId, 0);
+                throw new Error(`MD5 mismatch after download: ${fileId}`);
+            }
+
+            await fs.rename(partPath, filePath);
+
             this.progressTracker.updateFileProgress(fileId, 0, true);
             this.completedFiles.add(fileId);
+            this.journal?.markCompleted(fileId, fileSize);
+            this.queue?.markDone(fileId);
+        };
+
+        const trackedAttempt = async () => {
+            this.queue?.startAttempt(fileId);
+            try {
+                return await attemptDownload();
+            } catch (error) {
+                this.queue?.recordError(fileId, error);
+                throw error;
+            }
+        };
+
+        while (true) {
+            try {
+                return await CoreUtils.withRetry(trackedAttempt, CONSTANTS.MAX_RETRIES, CONSTANTS.RETRY_DELAY_BASE, this.retryBudget, this.state.abortController?.signal);
+            } catch (error) {
+                // Running out of disk space pauses the download instead of failing it.
+                if (error.code === 'ENOSPC' && this.state.isPaused && !this.state.abortController?.signal.aborted) {
+                    await this.waitForResume();
+                    continue;
+                }
+                if (!this.state.abortController?.signal.aborted) {
+                    this.queue?.markFailed(fileId, error);
+                }
+                throw CoreUtils.createFileError(error, fileId);
+            }
+        }
+    }
 
-        }, CONSTANTS.MAX_RETRIES);
+    async downloadSegmented(url, partPath, fileId, fileSize) {
+        const download = new SegmentedDownload(this, {
+            url,
+            partPath,
+            fileId,
+            fileSize
+        });
+
+        try {
+            return await download.run();
+        } catch (error) {
+            if (error.code !== 'ERANGE') throw error;
+
+            logger.warn(`Ranged requests are not supported for ${fileId}, downloading it on a single connection.`);
+            await download.discard();
+            return await this.downloadAndPipe(url, partPath, fileId, fileSize);
+        }
     }
 
-    downloadAndPipe(url, filePath, fileId, fileSize) {
-        return new Promise((resolve, reject) => {
-            const protocol = url.startsWith('https') ? https : http;
-            const request = protocol.get(url, {
-                signal: this.state.abortController?.signal
-            }, (res) => {
-                if (res.statusCode !== 200) {
-                    res.resume();
-                    return reject(new Error(`HTTP Error: ${res.statusCode} for URL ${url}`));
+    async getResumeOffset(partPath, fileSize) {
+        try {
+            const stats = await fs.stat(partPath);
+            if (stats.size <= fileSize) return stats.size;
+
+            logger.warn(`Discarding oversized partial file: ${partPath}`);
+            await fs.unlink(partPath);
+            return 0;
+        } catch (error) {
+            if (error.code === 'ENOENT') return 0;
+            throw error;
+        }
+    }
+
+    isExpectedContentRange(contentRange, offset, fileSize) {
+        const match = /^bytes (\d+)-(\d+)\/(\d+|\*)$/.exec(contentRange || '');
+        if (!match) return false;
+
+        const start = parseInt(match[1], 10);
+        const total = match[3] === '*' ? fileSize : parseInt(match[3], 10);
+        return start === offset && total === fileSize;
+    }
+
+    // Each LAN peer is tried once per file. A peer copy is only accepted when it
+    // matches the index MD5, otherwise the file falls back to the CDN.
+    async downloadFromPeers(resource, partPath, triedPeers) {
+        if (this.peers.length === 0 || !resource.md5) return null;
+
+        // Peers send whole files, which cannot resume a segmented .part file.
+        if (await CoreUtils.fileExists(`${partPath}${CONSTANTS.SEGMENT_STATE_EXTENSION}`)) return null;
+
+        const fileId = resource.dest;
+        const fileSize = parseInt(resource.size, 10);
+
+        for (const peer of this.peers) {
+            if (triedPeers.has(peer)) continue;
+            triedPeers.add(peer);
+
+            try {
+                const url = lanPeerManager.getFileUrl(peer, this.currentPatchVersion, fileId);
+                // The speed limit is meant for the internet connection, not the local network.
+                const actualMD5 = await this.downloadAndPipe(url, partPath, fileId, fileSize, {
+                    useProxy: false,
+                    connectTimeout: CONSTANTS.LAN_PEER_TIMEOUT
+                }, {
+                    rateLimited: false
+                });
+                if (actualMD5 === resource.md5.toLowerCase()) {
+                    return actualMD5;
+                }
+
+                logger.warn(`LAN peer ${peer} sent a copy of ${fileId} that does not match the index, no longer using it.`);
+                this.peers = this.peers.filter(p => p !== peer);
+                await fs.unlink(partPath).catch(() => {});
+                this.progressTracker.setFileProgress(fileId, 0);
+            } catch (error) {
+                if (error.code === 'ENOSPC') {
+                    const freeBytes = await DiskSpace.getFreeSpace(path.dirname(partPath)).catch(() => 0);
+                    this.pauseForLowDiskSpace(freeBytes);
+                }
+                if (error.code === 'ENOSPC' || this.state.abortController?.signal.aborted) {
+                    throw error;
                 }
+                if (error.code === 'EFBIG') {
+                    await fs.unlink(partPath).catch(() => {});
+                    this.progressTracker.setFileProgress(fileId, 0);
+                }
+
+                if (error.statusCode !== 404) {
+                    logger.warn(`LAN peer ${peer} failed, no longer using it: ${error.message}`);
+                    this.peers = this.peers.filter(p => p !== peer);
+                }
+            }
+        }
+        return null;
+    }
+
+    async downloadAndPipe(url, partPath, fileId, fileSize, requestOptions = {}, streamOptions = {}) {
+        const resumeOffset = await this.getResumeOffset(partPath, fileSize);
+        this.progressTracker.setFileProgress(fileId, resumeOffset);
+
+        const resumeHash = await this.hashPartialFile(partPath, resumeOffset);
+
+        if (resumeOffset === fileSize) {
+            logger.info(`Partial file already complete, skipping download: ${fileId}`);
+            return resumeHash.digest('hex');
+        }
+
+        if (resumeOffset > 0) {
+            logger.info(`Resuming ${fileId} from byte ${resumeOffset} of ${fileSize}`);
+        }
+
+        const headers = resumeOffset > 0 ? {
+            Range: `bytes=${resumeOffset}-`
+        } : {};
+
+        const { statusCode, headers: responseHeaders, response } = await httpClient.request(url, {
+            signal: this.state.abortController?.signal,
+            headers,
+            idleTimeout: 0,
+            decompress: false,
+            ...requestOptions
+        });
 
-                this.setupDownloadStream(res, filePath, fileId, fileSize, resolve, reject);
+        const isPartial = statusCode === 206;
+        if (statusCode !== 200 && !isPartial) {
+            response.resume();
+            throw new HttpError(`HTTP ${statusCode} for ${url}`, { url, statusCode });
+        }
+
+        if (isPartial && !this.isExpectedContentRange(responseHeaders['content-range'], resumeOffset, fileSize)) {
+            response.resume();
+            await fs.unlink(partPath).catch(() => {});
+            throw new Error(`Unexpected Content-Range "${responseHeaders['content-range']}" for URL ${url}`);
+        }
+
+        const startOffset = isPartial ? resumeOffset : 0;
+        if (!isPartial && resumeOffset > 0) {
+            logger.warn(`Server ignored range request for ${fileId}, restarting from zero.`);
+            this.progressTracker.setFileProgress(fileId, 0);
+        }
+
+        const hash = isPartial ? resumeHash : crypto.createHash('md5');
+        const fileStream = createWriteStream(partPath, {
+            flags: startOffset > 0 ? 'a' : 'w'
+        });
+        return await new Promise((resolve, reject) => {
+            this.setupDownloadStream(response, fileStream, fileId, hash, resolve, reject, {
+                maxBytes: fileSize - startOffset,
+                ...streamOptions
             });
+        });
+    }
+
+    async hashPartialFile(partPath, length) {
+        const hash = crypto.createHash('md5');
+        if (length === 0) return hash;
 
-            request.on('error', reject);
+        await new Promise((resolve, reject) => {
+            createReadStream(partPath, {
+                    start: 0,
+                    end: length - 1,
+                    highWaterMark: CONSTANTS.STREAM_CHUNK_SIZE
+                })
+                .on('data', chunk => hash.update(chunk))
+                .on('end', resolve)
+                .on('error', reject);
         });
+        return hash;
     }
 
-    setupDownloadStream(res, filePath, fileId, fileSize, resolve, reject) {
+    setupDownloadStream(res, fileStream, fileId, hash, resolve, reject, { maxBytes = null, rateLimited = true } = {}) {
         this.activeStreams.add(res);
 
         if (this.state.isPaused && !res.destroyed) {
             res.pause();
         }
 
-        const fileStream = createWriteStream(filePath);
         const progressStream = new ProgressStream(fileId, this.progressTracker);
+        progressStream.hash = hash;
+        progressStream.maxBytes = maxBytes;
+        progressStream.rateLimited = rateLimited;
+
+        let lastActivity = Date.now();
+        res.on('data', () => {
+            lastActivity = Date.now();
+        });
 
         const progressInterval = setInterval(() => {
+            if (this.state.isPaused) {
+                lastActivity = Date.now();
+            } else if (Date.now() - lastActivity > CONSTANTS.DOWNLOAD_STALL_TIMEOUT) {
+                res.destroy(new TimeoutError(`Download stalled: no data received for ${CONSTANTS.DOWNLOAD_STALL_TIMEOUT / 1000}s`, {
+                    code: 'ETIMEDOUT'
+                }));
+                return;
+            }
+
             if (!this.state.isPaused && this.state.isDownloading &&
                 this.progressTracker.uiThrottler.shouldUpdate()) {
                 const statusText = this.currentPatchVersion ? `Downloading Patch ${this.currentPatchVersion}` : STATUS.DOWNLOAD.DOWNLOADING;
@@ -667,16 +1327,13 @@ class GameDownloadManager {
             this.activeStreams.delete(res);
 
             if (err) {
-                fileStream.close(() => {
-                    fs.unlink(filePath)
-                        .catch(() => {})
-                        .finally(() => reject(err));
-                });
+                // Keep the partial file so the next attempt can resume from it.
+                fileStream.close(() => reject(err));
             } else {
                 this.progressTracker.uiThrottler.forceUpdate();
                 const statusText = this.currentPatchVersion ? `Downloading Patch ${this.currentPatchVersion}` : STATUS.DOWNLOAD.DOWNLOADING;
                 this.sendProgress(statusText);
-                resolve();
+                resolve(hash ? hash.digest('hex') : null);
             }
         });
     }
@@ -688,6 +1345,7 @@ class GameDownloadManager {
         const progressData = {
             status,
             ...metrics,
+            ...(this.queue ? { queue: this.queue.snapshot() } : {}),
             ...extra
         };
 
@@ -701,6 +1359,7 @@ class GameDownloadManager {
     pauseDownload() {
         if (this.state.isDownloading && !this.state.isPaused) {
             this.state.isPaused = true;
+            this.queue?.setPaused(true);
 
             this.activeStreams.forEach(stream => {
                 try {
@@ -715,9 +1374,26 @@ class GameDownloadManager {
         }
     }
 
+    pauseForLowDiskSpace(freeBytes) {
+        if (!this.state.isDownloading || this.state.isPaused) return;
+
+        const message = `Download paused: only ${DiskSpace.formatBytes(freeBytes)} of disk space left. Free up space and resume.`;
+        logger.warn(message);
+        this.pauseDownload();
+
+        if (this.mainWindow && !this.mainWindow.isDestroyed()) {
+            this.mainWindow.webContents.send('download-low-disk-space', {
+                freeBytes,
+                message
+            });
+        }
+    }
+
     resumeDownload() {
         if (this.state.isDownloading && this.state.isPaused) {
             this.state.isPaused = false;
+            this.queue?.setPaused(false);
+            this.resumeWaiters.forEach(release => release());
 
             this.progressTracker.lastUpdate = Date.now();
 
@@ -738,6 +1414,7 @@ class GameDownloadManager {
     cancelDownload() {
         if (this.state.isDownloading && this.state.abortController) {
             logger.info('Cancelling download...');
+            this.state.isCancelledByUser = true;
             this.state.abortController.abort();
             this.activeStreams.forEach(stream => stream.destroy());
             this.activeStreams.clear();
@@ -767,6 +1444,8 @@ class GameDownloadManager {
             logger.error('Failed to save local resources index:', error);
         }
 
+        await this.reportOrphanedFiles(installPath, resources);
+
         if (this.gameManager) {
             logger.info('Running fresh update check after download completion...');
             const freshUpdateCheck = await this.gameManager.checkForUpdates(true);
@@ -796,14 +1475,19 @@ class GameDownloadManager {
     handleDownloadError(error) {
         logger.error(`Download failed: ${error.stack || error.message}`);
 
-        const isCancelled = this.state.abortController?.signal.aborted;
+        const isCancelled = this.state.isCancelledByUser ||
+            (Boolean(this.state.abortController?.signal.aborted) && !this.state.workerError);
         const status = isCancelled ? STATUS.DOWNLOAD.CANCELLED : STATUS.DOWNLOAD.ERROR;
 
         this.sendProgress(status, {
-            error: error.message
+            error: error.message,
+            file: error.file || null,
+            reason: error.reason || null
         });
         return CoreUtils.createStandardResponse(false, {
-            cancelled: isCancelled
+            cancelled: isCancelled,
+            file: error.file || null,
+            reason: error.reason || null
         }, error.message);
     }
 
@@ -835,43 +1519,65 @@ class GameRepairManager {
         this.gameManager = gameManager;
         this.progressTracker = new ProgressTracker();
         this.validator = new FileValidator();
+        this.hashPool = null;
         this.isRepairing = false;
         this.abortController = null;
+        this.cdnPool = null;
+        this.retryBudget = null;
+        this.lowDiskSpaceError = null;
+        this.workerError = null;
+        this.channel = VERSION_TYPES.DEFAULT;
+        this.report = null;
+        this.pendingRepair = null;
     }
 
-    async repairGame(gamePath, mode = 'full') {
+    startRun({ mode, gamePath, channel, forceRehash = false, hashThreads = 1, verifyOnly = false, filter = null }) {
         if (this.isRepairing) {
             this.sendProgress({
                 status: STATUS.REPAIR.ERROR,
                 error: 'Repair process is already running.'
             });
-            return;
+            return false;
         }
 
         this.isRepairing = true;
         this.abortController = new AbortController();
+        this.retryBudget = new RetryBudget();
+        this.lowDiskSpaceError = null;
+        this.workerError = null;
+        this.channel = channel;
+        this.hashPool = mode === 'full' ? new HashPool(hashThreads) : null;
+        this.validator = new FileValidator({ forceRehash, hashPool: this.hashPool });
+        this.report = new RepairReport({ mode, gamePath, channel, forceRehash, verifyOnly, scope: filter?.entries || null });
         this.progressTracker.reset();
+        return true;
+    }
+
+    async repairGame(gamePath, mode = 'full', channel = VERSION_TYPES.DEFAULT, { forceRehash = false, hashThreads = 1, verifyOnly = false, filter = null } = {}) {
+        if (!this.startRun({ mode, gamePath, channel, forceRehash, hashThreads, verifyOnly, filter })) return;
+        this.pendingRepair = null;
         const startTime = Date.now();
 
+        if (forceRehash) {
+            logger.info('Ignoring cached file hashes for this check.');
+        }
+
         try {
             let resources;
-            let baseUrl;
+            let basePath;
+            let indexSource;
 
             if (mode === 'quick') {
                 try {
-                    resources = await this.getLocalResources(gamePath);
+                    ({ resources, indexSource } = await this.getLocalResources(gamePath));
                     logger.info(`Quick repair using local index: ${resources.length} files`);
                 } catch (localError) {
                     logger.warn(`Local index failed (${localError.message}), falling back to remote index`);
-                    const config = await this.fetchGameConfig();
-                    resources = config.resources;
-                    baseUrl = config.baseUrl;
+                    ({ resources, basePath, indexSource } = await this.fetchGameConfig());
                     logger.info(`Quick repair using remote index: ${resources.length} files`);
                 }
             } else {
-                const config = await this.fetchGameConfig();
-                resources = config.resources;
-                baseUrl = config.baseUrl;
+                ({ resources, basePath, indexSource } = await this.fetchGameConfig());
                 logger.info(`Full repair using remote index: ${resources.length} files`);
             }
 
@@ -882,13 +1588,19 @@ class GameRepairManager {
             if (resources.length < 100) {
                 logger.warn(`Found only ${resources.length} files in index, this seems low. Fetching remote index as backup.`);
                 if (mode === 'quick') {
-                    const config = await this.fetchGameConfig();
-                    resources = config.resources;
-                    baseUrl = config.baseUrl;
+                    ({ resources, basePath, indexSource } = await this.fetchGameConfig());
                     logger.info(`Using remote index instead: ${resources.length} files`);
                 }
             }
 
+            if (filter) {
+                resources = filter.apply(resources);
+                logger.info(`Limiting the check to ${resources.length} files matching ${filter.entries.join(', ')}`);
+            }
+
+            this.report.setIndexSource(indexSource);
+            this.report.setResources(resources);
+
             const corruptFiles = await this.validateGameFilesWithPerFileUpdates(resources, gamePath, mode);
 
             if (this.abortController?.signal.aborted) {
@@ -900,12 +1612,17 @@ class GameRepairManager {
                 return;
             }
 
-            if (mode === 'quick' && !baseUrl) {
+            if (verifyOnly) {
+                await this.holdForReview({ gamePath, basePath, indexSource, corruptFiles });
+                return;
+            }
+
+            if (mode === 'quick' && !basePath) {
                 const config = await this.fetchGameConfig();
-                baseUrl = config.baseUrl;
+                basePath = config.basePath;
             }
 
-            await this.repairCorruptFiles(corruptFiles, baseUrl, gamePath);
+            await this.repairCorruptFiles(corruptFiles, basePath, gamePath);
 
             if (this.abortController?.signal.aborted) {
                 throw new Error('cancelled');
@@ -916,6 +1633,89 @@ class GameRepairManager {
         } catch (error) {
             this.handleRepairError(error);
         } finally {
+            await this.saveReport();
+            this.cleanup();
+        }
+    }
+
+    // A check-only run stops here and keeps what it found, so the user can
+    // see what would be downloaded before choosing which files to repair.
+    // The versions are kept so the repair can refuse to run against an
+    // install or index that changed in the meantime.
+    async holdForReview({ gamePath, basePath, indexSource, corruptFiles }) {
+        const files = this.report.listProblems();
+        const bytesNeeded = files.reduce((sum, file) => sum + file.size, 0);
+        const localVersion = await GameUtils.getLocalGameVersion(gamePath);
+
+        this.pendingRepair = {
+            gamePath,
+            channel: this.channel,
+            localVersion,
+            version: indexSource?.version || localVersion,
+            basePath,
+            cdnPool: basePath ? this.cdnPool : null,
+            indexSource,
+            resources: corruptFiles,
+            problems: new Map(files.map(file => [file.path, file.problem]))
+        };
+        this.finishReport(REPORT_STATUS.COMPLETED);
+
+        const message = `${files.length} of ${this.progressTracker.totalFiles} files need repair (${DiskSpace.formatBytes(bytesNeeded)} to download).`;
+        logger.info(`Check finished without repairing: ${message}`);
+
+        this.sendProgress({
+            status: STATUS.REPAIR.VERIFIED,
+            message,
+            totalFiles: this.progressTracker.totalFiles,
+            validatedFiles: this.progressTracker.totalFiles,
+            filesToRepair: files.length,
+            files,
+            bytesNeeded,
+            logMessage: `[CHECKED] ${message}`
+        });
+    }
+
+    discardPendingRepair() {
+        this.pendingRepair = null;
+    }
+
+    // Repairs files found by the last check-only run. Without a list every
+    // file it found is repaired.
+    async repairVerifiedFiles(filePaths = null) {
+        const pending = this.pendingRepair;
+        if (!pending) return;
+
+        const wanted = filePaths ? new Set(filePaths) : null;
+        const resources = wanted ? pending.resources.filter(r => wanted.has(r.dest)) : pending.resources;
+        if (!this.startRun({ mode: 'repair', gamePath: pending.gamePath, channel: pending.channel })) return;
+        this.pendingRepair = null;
+        const startTime = Date.now();
+
+        this.report.setIndexSource(pending.indexSource);
+        this.report.setResources(resources);
+        resources.forEach(resource => this.report.addProblem(resource, pending.problems.get(resource.dest)));
+        this.progressTracker.totalFiles = resources.length;
+        this.progressTracker.processedFiles = resources.length;
+
+        try {
+            let basePath = pending.basePath;
+            if (basePath) {
+                this.cdnPool = pending.cdnPool;
+            } else {
+                ({ basePath } = await this.fetchGameConfig());
+            }
+
+            await this.repairCorruptFiles(resources, basePath, pending.gamePath);
+
+            if (this.abortController?.signal.aborted) {
+                throw new Error('cancelled');
+            }
+
+            this.handleRepairComplete(startTime, resources.length, resources.length);
+        } catch (error) {
+            this.handleRepairError(error);
+        } finally {
+            await this.saveReport();
             this.cleanup();
         }
     }
@@ -948,7 +1748,10 @@ class GameRepairManager {
                     logger.info(`Found ${resources.length} files in ${path.basename(indexPath)}`);
 
                     if (resources.length >= 100) {
-                        return resources;
+                        return {
+                            resources,
+                            indexSource: { type: 'local', path: indexPath }
+                        };
                     } else {
                         logger.warn(`Only ${resources.length} files found in ${path.basename(indexPath)}, checking next option...`);
                     }
@@ -965,32 +1768,38 @@ class GameRepairManager {
             status: STATUS.REPAIR.FETCHING_CONFIG
         });
 
+        const gameIndexUrl = apiConfig.getGameIndexUrl();
         const gameConfig = JSON.parse(await CoreUtils.httpRequest(
-            CONSTANTS.GAME_CONFIG_URL,
+            gameIndexUrl,
             this.abortController?.signal
         ));
 
-        const channelConfig = gameConfig.default;
+        const channelConfig = gameConfig[this.channel];
         if (!channelConfig) {
-            throw new Error('Could not find default configuration for repair.');
+            throw new Error(`Could not find a '${this.channel}' configuration for repair.`);
         }
 
-        const cdnUrl = channelConfig.cdnList[0].url;
-        const indexUrl = CoreUtils.combineUrl(cdnUrl, channelConfig.config.indexFile);
-        const baseUrl = CoreUtils.combineUrl(cdnUrl, channelConfig.config.baseUrl);
+        this.cdnPool = new CdnPool(channelConfig.cdnList);
+        await this.cdnPool.rankByLatency(channelConfig.config.indexFile, this.abortController?.signal);
 
         this.sendProgress({
             status: STATUS.REPAIR.FETCHING_INDEX
         });
 
-        const indexData = JSON.parse(await CoreUtils.httpRequest(
-            indexUrl,
+        const indexData = JSON.parse(await this.cdnPool.fetchText(
+            channelConfig.config.indexFile,
             this.abortController?.signal
         ));
 
         return {
             resources: indexData.resource || indexData.resources,
-            baseUrl
+            basePath: channelConfig.config.baseUrl,
+            indexSource: {
+                type: 'remote',
+                url: gameIndexUrl,
+                channel: this.channel,
+                version: channelConfig.version
+            }
         };
     }
 
@@ -1013,50 +1822,47 @@ class GameRepairManager {
         });
 
         const corruptFiles = [];
-        const batchSize = CONSTANTS.VALIDATION_BATCH_SIZE || 100;
         const isQuickMode = mode === 'quick';
+        const queue = [...resources];
 
-        for (let i = 0; i < resources.length; i += batchSize) {
-            if (this.abortController?.signal.aborted) {
-                throw new Error('cancelled');
-            }
-
-            const batch = resources.slice(i, Math.min(i + batchSize, resources.length));
-
-            for (const resource of batch) {
+        const validateWorker = async () => {
+            while (queue.length > 0) {
                 if (this.abortController?.signal.aborted) {
                     throw new Error('cancelled');
                 }
 
+                const resource = queue.shift();
                 const filePath = path.join(gamePath, resource.dest);
                 const expectedSize = parseInt(resource.size, 10);
 
                 this.progressTracker.currentFile = resource.dest;
 
-                let isValid;
-                if (isQuickMode) {
-                    isValid = await this.validator.quickValidate(filePath, expectedSize);
-                } else {
-                    isValid = await this.validator.deepValidate(
-                        filePath,
-                        expectedSize,
-                        resource.md5,
-                        (chunkSize) => {
-                            this.progressTracker.updateProgress(chunkSize);
-                            if (this.progressTracker.uiThrottler.shouldUpdate()) {
-                                this.sendValidationProgress(corruptFiles.length);
-                            }
+                const problem = await this.validator.inspect(
+                    filePath,
+                    expectedSize,
+                    isQuickMode ? null : resource.md5,
+                    (chunkSize) => {
+                        this.progressTracker.updateProgress(chunkSize);
+                        if (this.progressTracker.uiThrottler.shouldUpdate()) {
+                            this.sendValidationProgress(corruptFiles.length);
                         }
-                    );
+                    }
+                );
+
+                // A cancelled hash reads as a failed check, so it must not be
+                // reported as a corrupt file.
+                if (this.abortController?.signal.aborted) {
+                    throw new Error('cancelled');
                 }
 
                 if (isQuickMode) {
                     this.progressTracker.updateProgress(expectedSize);
                 }
 
-                if (!isValid) {
+                if (problem) {
                     corruptFiles.push(resource);
-                    this.logCorruptFile(resource.dest);
+                    this.report?.addProblem(resource, problem);
+                    this.logCorruptFile(resource.dest, problem);
                 } else {
                     this.logValidFile(resource.dest);
                 }
@@ -1067,7 +1873,12 @@ class GameRepairManager {
                     this.sendValidationProgress(corruptFiles.length);
                 }
             }
-        }
+        };
+
+        // Each worker waits on one file, so a full check keeps every hash thread busy.
+        const parallelism = this.hashPool ? this.hashPool.size : 1;
+        logger.info(`Validating with ${parallelism} hash thread(s).`);
+        await Promise.all(Array(parallelism).fill(null).map(() => validateWorker()));
 
         this.progressTracker.setCorruptFiles(corruptFiles);
         logger.info(`Validation complete: ${corruptFiles.length} corrupt files found out of ${totalFiles} total files`);
@@ -1075,7 +1886,7 @@ class GameRepairManager {
         return corruptFiles;
     }
 
-    async repairCorruptFiles(corruptFiles, baseUrl, gamePath) {
+    async repairCorruptFiles(corruptFiles, basePath, gamePath) {
         const totalFiles = corruptFiles.length;
         const totalBytes = corruptFiles.reduce((sum, r) => sum + parseInt(r.size, 10), 0);
 
@@ -1097,17 +1908,25 @@ class GameRepairManager {
             logMessage: `[INFO] Starting download of ${totalFiles} missing/corrupted files...`
         });
 
+        await DiskSpace.assertEnoughSpace(corruptFiles, gamePath, { writesInPlace: true });
+
         const queue = [...corruptFiles];
         const workers = Array(CONSTANTS.MAX_CONCURRENT_REPAIRS || 4)
             .fill(null)
-            .map(() => this.repairWorker(queue, baseUrl, gamePath));
+            .map(() => this.repairWorker(queue, basePath, gamePath));
 
-        await Promise.all(workers);
+        const diskMonitor = new DiskSpaceMonitor(gamePath, freeBytes => this.stopForLowDiskSpace(freeBytes));
+        diskMonitor.start();
+        try {
+            await CoreUtils.runWorkers(workers, error => this.stopWorkers(error));
+        } finally {
+            diskMonitor.stop();
+        }
 
         logger.info(`Repair complete: ${this.progressTracker.repairedFiles} files repaired`);
     }
 
-    async repairWorker(queue, baseUrl, gamePath) {
+    async repairWorker(queue, basePath, gamePath) {
         while (queue.length > 0) {
             if (this.abortController?.signal.aborted) {
                 throw new Error('Repair aborted');
@@ -1115,13 +1934,13 @@ class GameRepairManager {
 
             const resource = queue.shift();
             if (resource) {
-                await this.repairFile(resource, baseUrl, gamePath);
+                await this.repairFile(resource, basePath, gamePath);
                 this.progressTracker.incrementRepairedFiles();
             }
         }
     }
 
-    async repairFile(resource, baseUrl, gamePath) {
+    async repairFile(resource, basePath, gamePath) {
         const filePath = path.join(gamePath, resource.dest);
         const fileName = path.basename(resource.dest);
         const fileSize = parseInt(resource.size, 10);
@@ -1130,65 +1949,94 @@ class GameRepairManager {
 
         this.logRepairAction(fileName, 'repairing');
 
-        return await CoreUtils.withRetry(async () => {
+        const attemptRepair = async () => {
             if (this.abortController?.signal.aborted) {
-                throw new Error('Download aborted');
+                throw new AbortError('Download aborted');
             }
 
-            const url = CoreUtils.combineUrl(baseUrl, resource.dest);
+            const node = this.cdnPool.current;
+            const url = CoreUtils.combineUrl(node.url, basePath, resource.dest);
             await CoreUtils.ensureDirectory(path.dirname(filePath));
 
-            await this.downloadFile(url, filePath, fileSize);
+            let actualMD5;
+            try {
+                actualMD5 = await this.downloadFile(url, filePath, fileSize);
+            } catch (error) {
+                if (error.code === 'ENOSPC') {
+                    const freeBytes = await DiskSpace.getFreeSpace(gamePath).catch(() => 0);
+                    this.stopForLowDiskSpace(freeBytes);
+                } else if (!this.abortController?.signal.aborted && CoreUtils.isRetryableError(error)) {
+                    this.cdnPool.reportFailure(node.url, error);
+                }
+                throw error;
+            }
+            this.cdnPool.reportSuccess(node.url);
 
             const isValid = await this.validator.quickValidate(filePath, fileSize);
             if (!isValid) {
                 throw new Error('File verification failed after download.');
             }
 
+            if (resource.md5 && actualMD5 !== resource.md5.toLowerCase()) {
+                await fs.unlink(filePath).catch(() => {});
+                throw new Error(`MD5 mismatch after download (expected ${resource.md5}, got ${actualMD5}).`);
+            }
+
+            await hashCache.store(filePath, await fs.stat(filePath), actualMD5);
             this.logRepairAction(fileName, 'repaired');
 
-        }, CONSTANTS.MAX_REPAIR_RETRIES);
+        };
+
+        try {
+            return await CoreUtils.withRetry(attemptRepair, CONSTANTS.MAX_REPAIR_RETRIES, CONSTANTS.RETRY_DELAY_BASE, this.retryBudget, this.abortController?.signal);
+        } catch (error) {
+            const fileError = CoreUtils.createFileError(error, resource.dest, 'repair');
+            if (!this.abortController?.signal.aborted) {
+                this.report?.addFailure(resource.dest, fileError);
+            }
+            throw fileError;
+        }
     }
 
-    downloadFile(url, filePath, fileSize) {
-        return new Promise((resolve, reject) => {
-            let downloadedBytes = 0;
-            const protocol = url.startsWith('https:') ? https : http;
-
-            const request = protocol.get(url, {
-                signal: this.abortController?.signal
-            }, (response) => {
-                if (response.statusCode !== 200) {
-                    response.resume();
-                    return reject(new Error(`HTTP Error: ${response.statusCode}`));
-                }
+    async downloadFile(url, filePath, fileSize) {
+        const { statusCode, response } = await httpClient.request(url, {
+            signal: this.abortController?.signal,
+            idleTimeout: CONSTANTS.DOWNLOAD_STALL_TIMEOUT,
+            decompress: false
+        });
 
-                const fileStream = createWriteStream(filePath);
-                const progressStream = ProgressStream.createForRepair(chunkLength => {
-                    downloadedBytes += chunkLength;
-                    this.progressTracker.updateDownloadProgress(chunkLength);
+        if (statusCode !== 200) {
+            response.resume();
+            throw new HttpError(`HTTP ${statusCode} for ${url}`, { url, statusCode });
+        }
 
-                    if (this.progressTracker.uiThrottler.shouldUpdate()) {
-                        this.sendRepairProgress();
-                    }
-                });
+        return await new Promise((resolve, reject) => {
+            let downloadedBytes = 0;
+            const fileStream = createWriteStream(filePath);
+            const hash = crypto.createHash('md5');
+            const progressStream = ProgressStream.createForRepair(chunkLength => {
+                downloadedBytes += chunkLength;
+                this.progressTracker.updateDownloadProgress(chunkLength);
 
-                pipeline(response, progressStream, fileStream, (err) => {
-                    if (err) {
-                        fileStream.close(() =>
-                            fs.unlink(filePath)
-                            .catch(() => {})
-                            .finally(() => reject(err))
-                        );
-                    } else {
-                        this.progressTracker.uiThrottler.forceUpdate();
-                        this.sendRepairProgress();
-                        resolve();
-                    }
-                });
+                if (this.progressTracker.uiThrottler.shouldUpdate()) {
+                    this.sendRepairProgress();
+                }
             });
+            progressStream.hash = hash;
 
-            request.on('error', reject);
+            pipeline(response, progressStream, fileStream, (err) => {
+                if (err) {
+                    fileStream.close(() =>
+                        fs.unlink(filePath)
+                        .catch(() => {})
+                        .finally(() => reject(err))
+                    );
+                } else {
+                    this.progressTracker.uiThrottler.forceUpdate();
+                    this.sendRepairProgress();
+                    resolve(hash.digest('hex'));
+                }
+            });
         });
     }
 
@@ -1247,8 +2095,8 @@ class GameRepairManager {
         });
     }
 
-    logCorruptFile(fileName) {
-        const message = `[Invalid] ${fileName}`;
+    logCorruptFile(fileName, problem) {
+        const message = `[Invalid] ${fileName} (${problem})`;
         this.sendProgress({
             logMessage: message
         });
@@ -1285,6 +2133,8 @@ class GameRepairManager {
             this.gameManager.clearUpdateCache();
         }
 
+        this.finishReport(REPORT_STATUS.COMPLETED);
+
         this.sendProgress({
             status: STATUS.REPAIR.COMPLETED,
             message,
@@ -1297,9 +2147,29 @@ class GameRepairManager {
         });
     }
 
+    stopForLowDiskSpace(freeBytes) {
+        if (this.lowDiskSpaceError) return;
+
+        this.lowDiskSpaceError = new Error(`Repair stopped: only ${DiskSpace.formatBytes(freeBytes)} of disk space left. Free up space and run the repair again.`);
+        logger.warn(this.lowDiskSpaceError.message);
+        this.abortController?.abort();
+    }
+
+    stopWorkers(error) {
+        if (this.abortController?.signal.aborted) return;
+        this.workerError = error;
+        this.abortController?.abort();
+    }
+
     handleRepairError(error) {
-        const isCancelled = error.message.includes('cancelled') ||
-            this.abortController?.signal.aborted;
+        if (this.lowDiskSpaceError) {
+            error = this.lowDiskSpaceError;
+        }
+
+        const isCancelled = !this.lowDiskSpaceError && !this.workerError && (error.message.includes('cancelled') ||
+            this.abortController?.signal.aborted);
+
+        this.finishReport(isCancelled ? REPORT_STATUS.CANCELLED : REPORT_STATUS.FAILED, isCancelled ? null : error);
 
         if (isCancelled) {
             this.sendProgress({
@@ -1309,16 +2179,37 @@ class GameRepairManager {
         } else {
             this.sendProgress({
                 status: STATUS.REPAIR.ERROR,
-                error: error.message
+                error: error.message,
+                file: error.file || null,
+                reason: error.reason || null
             });
             logger.error(`Game repair failed: ${error.stack || error.message}`);
         }
     }
 
+    finishReport(status, error = null) {
+        this.report?.finish(status, {
+            repairedFiles: this.progressTracker.repairedFiles,
+            bytesRedownloaded: this.progressTracker.downloadedBytes,
+            error
+        });
+    }
+
+    async saveReport() {
+        if (!this.report?.isFinished) return;
+
+        const summary = await repairReports.save(this.report);
+        this.report = null;
+        if (summary && this.mainWindow && !this.mainWindow.isDestroyed()) {
+            this.mainWindow.webContents.send('repair-report-saved', summary);
+        }
+    }
+
     cancelRepair() {
         if (this.isRepairing && this.abortController) {
             logger.info('Cancelling repair...');
             this.abortController.abort();
+            this.hashPool?.destroy();
         }
     }
 
@@ -1329,7 +2220,9 @@ class GameRepairManager {
             this.abortController = null;
         }
         this.progressTracker.reset();
-        this.validator.clearCache();
+        this.validator.flushCache();
+        this.hashPool?.destroy();
+        this.hashPool = null;
     }
 }
 
@@ -1337,10 +2230,41 @@ function setupFileHandlerIPC(ipcMain, win, launcherConfig, gameManager = null) {
     const downloadManager = new GameDownloadManager(win, gameManager);
     const repairManager = new GameRepairManager(win, gameManager);
 
+    rateLimiter.useConfig(launcherConfig);
+    profileManager.addBusyCheck(() => downloadManager.state.isDownloading || repairManager.isRepairing ?
+        'Wait for the current download or repair to finish.' : null);
+
+    // Check results describe the install as it was, so they are dropped
+    // once a download or another profile changes it.
+    profileManager.on('switched', () => repairManager.discardPendingRepair());
+
+    const startDownload = async (installPath, versionType = VERSION_TYPES.DEFAULT, localSource = null) => {
+        repairManager.discardPendingRepair();
+        launcherConfig.set('gamePath', installPath);
+        const result = await downloadManager.downloadGame(installPath, versionType, null, {
+            localSource,
+            channel: versionType === VERSION_TYPES.DEFAULT ? launcherConfig.get('channel') : versionType
+        });
+
+        if (result.success) {
+            if (versionType === VERSION_TYPES.DEFAULT) {
+                launcherConfig.set('isFirstRunPending', true);
+            }
+
+            win.webContents.send('installation-complete', {
+                gamePath: result.installPath,
+                version: result.version,
+            });
+        }
+
+        return result;
+    };
+
     ipcMain.handle('start-download', async (event, {
         installPath,
         versionType = VERSION_TYPES.DEFAULT,
-        localVersion = null
+        localVersion = null,
+        localSource = null
     }) => {
         let selectedPath = installPath || launcherConfig.get('gamePath');
 
@@ -1362,24 +2286,23 @@ function setupFileHandlerIPC(ipcMain, win, launcherConfig, gameManager = null) {
             selectedPath = filePaths[0];
         }
 
-        launcherConfig.set('gamePath', selectedPath);
-        const result = await downloadManager.downloadGame(selectedPath, versionType, null);
-
-        if (result.success) {
-            if (versionType === VERSION_TYPES.DEFAULT) {
-                launcherConfig.set('isFirstRunPending', true);
-            }
-
-            win.webContents.send('installation-complete', {
-                gamePath: result.installPath,
-                version: result.version,
-            });
-        }
-
-        return result;
+        return await startDownload(selectedPath, versionType, localSource);
     });
 
     const downloadControlHandlers = {
+        'get-download-queue': () => {
+            return CoreUtils.createStandardResponse(true, {
+                queue: downloadManager.queue?.snapshot() || null
+            });
+        },
+        'prioritize-download-file': (event, filePath) => {
+            if (!downloadManager.queue?.prioritize(filePath)) {
+                return CoreUtils.createStandardResponse(false, null, 'This file is no longer waiting in the queue.');
+            }
+            return CoreUtils.createStandardResponse(true, {
+                queue: downloadManager.queue.snapshot()
+            });
+        },
         'pause-download': () => {
             downloadManager.pauseDownload();
             return CoreUtils.createStandardResponse(true);
@@ -1402,19 +2325,88 @@ function setupFileHandlerIPC(ipcMain, win, launcherConfig, gameManager = null) {
         ipcMain.handle(event, handler);
     });
 
-    const handleRepairRequest = async (mode) => {
+    ipcMain.handle('get-pending-download', async () => {
+        if (downloadManager.state.isDownloading) {
+            return CoreUtils.createStandardResponse(true, {
+                pending: null
+            });
+        }
+
+        const pending = await DownloadJournal.findPending(launcherConfig.get('gamePath'));
+        return CoreUtils.createStandardResponse(true, {
+            pending
+        });
+    });
+
+    const handleRepairRequest = async (mode, options = {}) => {
         const gamePath = launcherConfig.get('gamePath');
         if (!gamePath) {
             logger.warn(`Repair attempted without a configured game path (mode: ${mode}).`);
             return CoreUtils.createStandardResponse(false, null, 'Game path is not configured.');
         }
 
-        repairManager.repairGame(gamePath, mode);
+        let filter = null;
+        if (options?.scope) {
+            try {
+                filter = new ResourceFilter(Array.isArray(options.scope) ? options.scope : [options.scope]);
+            } catch (error) {
+                return CoreUtils.createStandardResponse(false, null, error.message);
+            }
+        }
+
+        repairManager.repairGame(gamePath, mode, launcherConfig.get('channel', VERSION_TYPES.DEFAULT), {
+            forceRehash: Boolean(options?.forceRehash),
+            hashThreads: HashPool.getThreadCount(launcherConfig.get('verification')),
+            verifyOnly: Boolean(options?.verifyOnly),
+            filter
+        });
         return CoreUtils.createStandardResponse(true);
     };
 
-    ipcMain.handle('start-repair', () => handleRepairRequest('full'));
-    ipcMain.handle('start-quick-repair', () => handleRepairRequest('quick'));
+    ipcMain.handle('start-repair', (event, options) => handleRepairRequest('full', options));
+    ipcMain.handle('start-quick-repair', (event, options) => handleRepairRequest('quick', options));
+
+    ipcMain.handle('repair-verified-files', async (event, filePaths = null) => {
+        const pending = repairManager.pendingRepair;
+        if (!pending) {
+            return CoreUtils.createStandardResponse(false, null, 'There is nothing left to repair from the last check.');
+        }
+        if (pending.gamePath !== launcherConfig.get('gamePath')) {
+            repairManager.discardPendingRepair();
+            return CoreUtils.createStandardResponse(false, null, 'The game folder changed since the check. Run the check again.');
+        }
+        if (Array.isArray(filePaths) && filePaths.length === 0) {
+            return CoreUtils.createStandardResponse(false, null, 'Select at least one file to repair.');
+        }
+
+        let localVersion;
+        let remoteVersion;
+        try {
+            [localVersion, { version: remoteVersion }] = await Promise.all([
+                GameUtils.getLocalGameVersion(pending.gamePath),
+                CdnPool.fetchChannelConfig(pending.channel)
+            ]);
+        } catch (error) {
+            logger.error('Could not check the game version before repairing:', error.message);
+            return CoreUtils.createStandardResponse(false, null, `Could not check for game updates: ${error.message}`);
+        }
+        if (repairManager.pendingRepair !== pending) {
+            return CoreUtils.createStandardResponse(false, null, 'There is nothing left to repair from the last check.');
+        }
+        if (localVersion !== pending.localVersion || remoteVersion !== pending.version) {
+            repairManager.discardPendingRepair();
+            logger.info(`Discarded check results for Patch ${pending.version}: installed ${localVersion}, available ${remoteVersion}.`);
+            return CoreUtils.createStandardResponse(false, null, 'The game version changed since the check. Run the check again.');
+        }
+
+        repairManager.repairVerifiedFiles(Array.isArray(filePaths) ? filePaths : null);
+        return CoreUtils.createStandardResponse(true);
+    });
+
+    ipcMain.handle('discard-verified-files', () => {
+        repairManager.discardPendingRepair();
+        return CoreUtils.createStandardResponse(true);
+    });
 
     ipcMain.handle('cancel-repair', async () => {
         repairManager.cancelRepair();
@@ -1435,22 +2427,102 @@ function setupFileHandlerIPC(ipcMain, win, launcherConfig, gameManager = null) {
         };
     });
 
+    ipcMain.handle('select-local-source', async () => {
+        const { response } = await dialog.showMessageBox(win, {
+            type: 'question',
+            title: 'Install from Local Copy',
+            message: 'Where is the copy of the game?',
+            detail: 'Files are checked against the official file list; anything missing or corrupt is downloaded.',
+            buttons: ['Folder', 'ZIP Archive', 'Cancel'],
+            defaultId: 0,
+            cancelId: 2
+        });
+        if (response === 2) {
+            return { canceled: true };
+        }
+
+        const {
+            canceled,
+            filePaths
+        } = await dialog.showOpenDialog(win, response === 0 ? {
+            title: 'Select Game Folder to Copy From',
+            properties: ['openDirectory']
+        } : {
+            title: 'Select Game Archive',
+            filters: [{ name: 'ZIP Archives', extensions: ['zip'] }],
+            properties: ['openFile']
+        });
+        return {
+            canceled,
+            path: filePaths?.[0]
+        };
+    });
+
+    ipcMain.handle('scan-orphaned-files', async () => {
+        const gamePath = launcherConfig.get('gamePath');
+        if (!gamePath) {
+            return CoreUtils.createStandardResponse(false, null, 'Game path not set.');
+        }
+        if (downloadManager.state.isDownloading || repairManager.isRepairing) {
+            return CoreUtils.createStandardResponse(false, null, 'Wait for the current download or repair to finish.');
+        }
+
+        try {
+            const [index, localVersion] = await Promise.all([
+                CdnPool.fetchChannelIndex(launcherConfig.get('channel', VERSION_TYPES.DEFAULT)),
+                GameUtils.getLocalGameVersion(gamePath)
+            ]);
+            if (localVersion !== index.version) {
+                return CoreUtils.createStandardResponse(false, null, 'Update the game before cleaning up old files.');
+            }
+
+            const scan = await orphanCleaner.scan(gamePath, index.resources);
+            return CoreUtils.createStandardResponse(true, OrphanCleaner.summarize(scan));
+        } catch (error) {
+            logger.error('Orphaned file scan failed:', error);
+            return CoreUtils.createStandardResponse(false, null, error.message);
+        }
+    });
+
+    ipcMain.handle('remove-orphaned-files', async () => {
+        const gamePath = launcherConfig.get('gamePath');
+        if (downloadManager.state.isDownloading || repairManager.isRepairing) {
+            return CoreUtils.createStandardResponse(false, null, 'Wait for the current download or repair to finish.');
+        }
+
+        try {
+            const result = await orphanCleaner.removeLastScan(gamePath);
+            return CoreUtils.createStandardResponse(true, result);
+        } catch (error) {
+            logger.error('Failed to remove orphaned files:', error);
+            return CoreUtils.createStandardResponse(false, null, error.message);
+        }
+    });
+
     ipcMain.handle('verify-game-integrity', async () => {
         const gamePath = launcherConfig.get('gamePath');
         if (!gamePath) {
             return CoreUtils.createStandardResponse(false, null, 'Game path not set.');
         }
 
+        const channel = launcherConfig.get('channel', VERSION_TYPES.DEFAULT);
+        const report = new RepairReport({ mode: 'verify', gamePath, channel });
+
         try {
-            const { resources } = await downloadManager.getGameConfig();
+            // The download manager's own config fetch would replace the
+            // mirror pool of a download that is still running.
+            const { resources, version } = await CdnPool.fetchChannelIndex(channel);
             const pipeline = new ValidationPipeline(new ProgressTracker(), win);
+            report.setIndexSource({ type: 'remote', url: apiConfig.getGameIndexUrl(), channel, version });
+            report.setResources(resources);
 
             const invalidFiles = await pipeline.validateResources(
                 resources,
                 gamePath,
                 null,
-                { isFinal: true }
+                { isFinal: true, report }
             );
+            report.finish(REPORT_STATUS.COMPLETED);
 
             const finalStatus = invalidFiles.length > 0 ? 'Verification Failed' : 'Verification Complete';
             pipeline.progressTracker.forceCompletion();
@@ -1464,8 +2536,14 @@ function setupFileHandlerIPC(ipcMain, win, launcherConfig, gameManager = null) {
 
         } catch (error) {
             logger.error('Game integrity verification failed:', error);
+            report.finish(REPORT_STATUS.FAILED, { error });
             win.webContents.send('download-progress', { status: 'Error', error: error.message });
             return CoreUtils.createStandardResponse(false, null, error.message);
+        } finally {
+            const summary = await repairReports.save(report);
+            if (summary && !win.isDestroyed()) {
+                win.webContents.send('repair-report-saved', summary);
+            }
         }
     });
 
@@ -1473,6 +2551,8 @@ function setupFileHandlerIPC(ipcMain, win, launcherConfig, gameManager = null) {
         downloadManager.cleanup();
         repairManager.cleanup();
     });
+
+    return { startDownload };
 }
 
 module.exports = {
@@ -1,14 +1,17 @@
 const { promises: fs } = require('fs');
 const path = require('path');
+const { spawn } = require('child_process');
 const { shell, dialog } = require('electron');
 
 const {
     CONSTANTS,
+    VERSION_TYPES,
     CoreUtils,
     GameUtils
 } = require('./core');
 const { logger } = require('./logger');
 const { apiConfig } = require('./api-config');
+const { StagedUpdate } = require('./staged-update');
 
 class PlaytimeTracker {
     constructor(launcherConfig) {
@@ -45,10 +48,10 @@ class PlaytimeTracker {
             duration: sessionDuration,
         };
 
-        this.launcherConfig.config.totalPlaytime = newTotal;
-        this.launcherConfig.config.dailyPlaytime = dailyPlaytime;
-        this.launcherConfig.config.mostRecentSession = mostRecentSession;
-        this.launcherConfig.config.sessionCount = newSessionCount;
+        this.launcherConfig.set('totalPlaytime', newTotal);
+        this.launcherConfig.set('dailyPlaytime', dailyPlaytime);
+        this.launcherConfig.set('mostRecentSession', mostRecentSession);
+        this.launcherConfig.set('sessionCount', newSessionCount);
 
         try {
             await this.launcherConfig.save();
@@ -177,8 +180,14 @@ class GameManager {
                 }
             }
 
-            logger.info(`Launching game from: ${executablePath}`);
-            await shell.openPath(executablePath);
+            const launchArgs = CoreUtils.parseCommandLine(this.launcherConfig.get('launchArgs', ''));
+            logger.info(`Launching game from: ${executablePath}${launchArgs.length > 0 ? ` with options: ${launchArgs.join(' ')}` : ''}`);
+
+            if (launchArgs.length > 0) {
+                await this.spawnGame(executablePath, launchArgs);
+            } else {
+                await shell.openPath(executablePath);
+            }
 
             setTimeout(() => {
                 this.startProcessMonitoring();
@@ -192,6 +201,21 @@ class GameManager {
         }
     }
 
+    spawnGame(executablePath, args) {
+        return new Promise((resolve, reject) => {
+            const child = spawn(executablePath, args, {
+                cwd: path.dirname(executablePath),
+                detached: true,
+                stdio: 'ignore'
+            });
+            child.once('error', reject);
+            child.once('spawn', () => {
+                child.unref();
+                resolve();
+            });
+        });
+    }
+
     async checkAdminRequirement(executablePath) {
         try {
             const stats = await fs.stat(executablePath);
@@ -243,15 +267,16 @@ class GameManager {
             }
 
             const gamePath = this.launcherConfig.get('gamePath');
+            const channel = this.launcherConfig.get('channel', VERSION_TYPES.DEFAULT);
             const localVersion = await GameUtils.getLocalGameVersion(gamePath);
 
-            logger.info(`Checking for updates. Local version: ${localVersion || 'not installed'}`);
+            logger.info(`Checking for updates on the '${channel}' channel. Local version: ${localVersion || 'not installed'}`);
 
             const gameConfig = await this.fetchGameConfig();
-            const remoteVersion = gameConfig.default?.version;
+            const remoteVersion = gameConfig[channel]?.version;
 
             if (!remoteVersion) {
-                throw new Error('No default game configuration found in remote.');
+                throw new Error(`No '${channel}' game configuration found in remote. The channel may not be available right now.`);
             }
 
             const updateAvailable = localVersion ?
@@ -261,7 +286,9 @@ class GameManager {
                 updateAvailable,
                 currentVersion: localVersion,
                 latestVersion: remoteVersion,
-                downloadSize: this.calculateDownloadSize(gameConfig, updateAvailable)
+                downloadSize: this.calculateDownloadSize(gameConfig, updateAvailable, channel),
+                predownload: updateAvailable || channel !== VERSION_TYPES.DEFAULT ?
+                    null : await this.getPredownloadInfo(gameConfig, gamePath, remoteVersion)
             };
 
             this.updateCheckCache = result;
@@ -277,17 +304,33 @@ class GameManager {
     }
 
     async fetchGameConfig() {
-        const gameConfigUrl = CONSTANTS.GAME_CONFIG_URL;
+        const gameConfigUrl = apiConfig.getGameIndexUrl();
         logger.debug(`Fetching game config from: ${gameConfigUrl}`);
         const response = await CoreUtils.httpRequest(gameConfigUrl);
         return JSON.parse(response);
     }
 
-    calculateDownloadSize(gameConfig, isFullDownload) {
+    calculateDownloadSize(gameConfig, isFullDownload, versionType = VERSION_TYPES.DEFAULT) {
         if (isFullDownload) {
-            return gameConfig.default?.config?.fullSize || 'Unknown';
+            return gameConfig[versionType]?.config?.fullSize || 'Unknown';
         }
-        return gameConfig.default?.config?.updateSize || 'Unknown';
+        return gameConfig[versionType]?.config?.updateSize || 'Unknown';
+    }
+
+    async getPredownloadInfo(gameConfig, gamePath, liveVersion) {
+        const version = gameConfig[VERSION_TYPES.PREDOWNLOAD]?.version;
+        if (!gamePath || !version || !this._isVersionNewer(version, liveVersion)) {
+            return null;
+        }
+
+        const staged = await StagedUpdate.load(gamePath);
+        logger.info(`Pre-download available for Patch ${version}.`);
+
+        return {
+            version,
+            downloadSize: this.calculateDownloadSize(gameConfig, false, VERSION_TYPES.PREDOWNLOAD),
+            isReady: Boolean(staged && staged.version === version && staged.isComplete)
+        };
     }
 
     isUpdateCacheValid() {
@@ -589,10 +632,10 @@ function setupGameManagerIPC(ipcMain, gameManager) {
 
         'get-game-info': () => gameManager.getGameInfo(),
 
-        'check-for-updates': async () => {
-            const result = await gameManager.checkForUpdates();
+        'check-for-updates': async (event, forceCheck = false) => {
+            const result = await gameManager.checkForUpdates(forceCheck);
 
-            if (result.success && result.updateAvailable) {
+            if (result.success && (result.updateAvailable || result.predownload)) {
                 if (gameManager.mainWindow && !gameManager.mainWindow.isDestroyed()) {
                     gameManager.mainWindow.webContents.send('update-available', result);
                 }
@@ -0,0 +1,101 @@
+const { CONSTANTS } = require('./core');
+const { logger } = require('./logger');
+const { showNotification } = require('./notifications');
+const { profileManager } = require('./profile-manager');
+
+// Checks the game index in the background while the launcher is open or in
+// the tray, and optionally downloads a new patch once nothing else is running.
+class GameUpdatePoller {
+    constructor(win, launcherConfig, gameManager, startDownload) {
+        this.win = win;
+        this.launcherConfig = launcherConfig;
+        this.gameManager = gameManager;
+        this.startDownload = startDownload;
+        this.timer = null;
+        this.checking = false;
+        this.lastAnnounced = null;
+    }
+
+    start() {
+        this.stop();
+        this.timer = setInterval(() => this.poll(), CONSTANTS.GAME_UPDATE_CHECK_INTERVAL);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    async poll() {
+        if (!this.launcherConfig.get('behavior.autoCheckGameUpdates', true)) return;
+
+        logger.info('Triggering periodic check for game updates.');
+        await this.check({ forceCheck: true, allowAutoDownload: true });
+    }
+
+    async check({ forceCheck = false, allowAutoDownload = false } = {}) {
+        const gamePath = this.launcherConfig.get('gamePath');
+        if (this.checking || !gamePath) return null;
+        this.checking = true;
+
+        try {
+            const result = await this.gameManager.checkForUpdates(forceCheck);
+            if (!result.success) {
+                logger.warn(`Game update check failed: ${result.error}`);
+                return result;
+            }
+            if (!result.updateAvailable && !result.predownload) return result;
+
+            const willDownload = allowAutoDownload && result.updateAvailable && this.canAutoDownload();
+
+            // The renderer prompts on every 'update-available', so each patch is
+            // only announced once per profile.
+            const key = [
+                this.launcherConfig.get('activeProfileId'),
+                result.updateAvailable ? result.latestVersion : null,
+                result.predownload?.version
+            ].join(':');
+            if (key !== this.lastAnnounced) {
+                this.lastAnnounced = key;
+                this.announce(result, willDownload);
+            }
+
+            if (willDownload) {
+                logger.info(`Downloading Patch ${result.latestVersion} automatically.`);
+                this.startDownload(gamePath).catch(error => logger.error('Automatic update download failed:', error));
+            }
+            return result;
+        } finally {
+            this.checking = false;
+        }
+    }
+
+    canAutoDownload() {
+        if (!this.launcherConfig.get('behavior.autoDownloadUpdates', false)) return false;
+
+        const reason = profileManager.getBusyReason();
+        if (reason) {
+            logger.info(`Automatic update download postponed: ${reason}`);
+            return false;
+        }
+        return true;
+    }
+
+    announce(result, willDownload) {
+        if (this.win && !this.win.isDestroyed()) {
+            this.win.webContents.send('update-available', result);
+        }
+
+        // The in-app notification covers a focused window.
+        if (!result.updateAvailable || (this.win && !this.win.isDestroyed() && this.win.isVisible() && this.win.isFocused())) return;
+
+        showNotification({
+            title: `Patch ${result.latestVersion} is available`,
+            body: willDownload ? 'Downloading it now.' : 'Open the launcher to install it.'
+        });
+    }
+}
+
+module.exports = {
+    GameUpdatePoller
+};
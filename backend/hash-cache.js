@@ -0,0 +1,89 @@
+const path = require('path');
+
+const { CONSTANTS, CoreUtils } = require('./core');
+const { logger } = require('./logger');
+
+const CACHE_SAVE_INTERVAL = 5000;
+
+function toCacheKey(filePath) {
+    const resolved = path.resolve(filePath);
+    return process.platform === 'win32' ? resolved.toLowerCase() : resolved;
+}
+
+// MD5s of game files from earlier checks, kept in app data so a Full Check
+// only hashes files whose size or modification time changed since.
+class HashCache {
+    constructor(cachePath = CoreUtils.getAppDataPath(CONSTANTS.HASH_CACHE_FILE)) {
+        this.cachePath = cachePath;
+        this.entries = null;
+        this.loading = null;
+        this.saveTimer = null;
+        this.saveChain = Promise.resolve();
+    }
+
+    async load() {
+        if (this.entries) return;
+        if (!this.loading) {
+            this.loading = CoreUtils.readJsonFile(this.cachePath, {}).then(data => {
+                this.entries = new Map(Object.entries(data?.files || {}));
+                logger.info(`Loaded ${this.entries.size} cached file hashes.`);
+            });
+        }
+        await this.loading;
+    }
+
+    async lookup(filePath, stats) {
+        await this.load();
+        const entry = this.entries.get(toCacheKey(filePath));
+        if (!entry) return null;
+
+        if (entry.size !== stats.size || entry.mtimeMs !== stats.mtimeMs) {
+            this.entries.delete(toCacheKey(filePath));
+            this.scheduleSave();
+            return null;
+        }
+        return entry.md5;
+    }
+
+    async store(filePath, stats, md5) {
+        await this.load();
+        this.entries.set(toCacheKey(filePath), {
+            size: stats.size,
+            mtimeMs: stats.mtimeMs,
+            md5: md5.toLowerCase()
+        });
+        this.scheduleSave();
+    }
+
+    scheduleSave() {
+        if (this.saveTimer) return;
+
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.flush();
+        }, CACHE_SAVE_INTERVAL);
+    }
+
+    flush() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        if (!this.entries) return this.saveChain;
+
+        this.saveChain = this.saveChain.then(async () => {
+            const result = await CoreUtils.writeJsonFile(this.cachePath, {
+                files: Object.fromEntries(this.entries)
+            });
+            if (!result.success) {
+                logger.warn(`Failed to save file hash cache: ${result.error}`);
+            }
+        });
+        return this.saveChain;
+    }
+}
+
+const hashCache = new HashCache();
+
+module.exports = {
+    HashCache,
+    hashCache
+};
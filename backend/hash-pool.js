@@ -0,0 +1,119 @@
+const { Worker } = require('worker_threads');
+const os = require('os');
+const path = require('path');
+
+const { CONSTANTS } = require('./core');
+const { logger } = require('./logger');
+
+const WORKER_PATH = path.join(__dirname, 'hash-worker.js');
+
+// Hashes files on worker threads so full checks use several cores without
+// blocking the main process. Workers start on demand and each hashes one file at a time.
+class HashPool {
+    constructor(size) {
+        this.size = Math.max(1, size);
+        this.workers = new Set();
+        this.idle = [];
+        this.tasks = [];
+        this.isDestroyed = false;
+    }
+
+    // Spinning disks slow down when several files are read at once, so they
+    // get a single thread unless the user asks for more.
+    static getThreadCount({ storage = 'ssd', threads = 0 } = {}) {
+        const requested = parseInt(threads, 10);
+        if (requested > 0) {
+            return Math.min(requested, CONSTANTS.HASH_THREADS_MAX);
+        }
+        if (storage === 'hdd') {
+            return CONSTANTS.HASH_THREADS_HDD;
+        }
+        return Math.max(1, Math.min(os.cpus().length - 1, CONSTANTS.HASH_THREADS_MAX));
+    }
+
+    hash(filePath, onProgress = null) {
+        if (this.isDestroyed) {
+            return Promise.reject(new Error('Hashing was cancelled.'));
+        }
+
+        return new Promise((resolve, reject) => {
+            this.tasks.push({ filePath, onProgress, resolve, reject });
+            this.dispatch();
+        });
+    }
+
+    dispatch() {
+        while (this.tasks.length > 0 && (this.idle.length > 0 || this.workers.size < this.size)) {
+            const worker = this.idle.pop() || this.spawn();
+            const task = this.tasks.shift();
+            worker.task = task;
+            worker.postMessage({ filePath: task.filePath });
+        }
+    }
+
+    spawn() {
+        const worker = new Worker(WORKER_PATH, {
+            workerData: {
+                chunkSize: CONSTANTS.STREAM_CHUNK_SIZE,
+                progressInterval: CONSTANTS.PROGRESS_UPDATE_INTERVAL
+            }
+        });
+        worker.task = null;
+        worker.on('message', message => this.handleMessage(worker, message));
+        worker.on('error', error => this.handleExit(worker, error));
+        worker.on('exit', code => this.handleExit(worker, new Error(`Hash worker stopped with exit code ${code}.`)));
+        this.workers.add(worker);
+        return worker;
+    }
+
+    handleMessage(worker, message) {
+        const task = worker.task;
+        if (!task) return;
+
+        if (message.progress !== undefined) {
+            task.onProgress?.(message.progress);
+            return;
+        }
+
+        worker.task = null;
+        this.idle.push(worker);
+        if (message.error) {
+            task.reject(new Error(message.error));
+        } else {
+            task.resolve(message.md5);
+        }
+        this.dispatch();
+    }
+
+    handleExit(worker, error) {
+        if (!this.workers.delete(worker)) return;
+        this.idle = this.idle.filter(w => w !== worker);
+
+        if (worker.task) {
+            worker.task.reject(error);
+            worker.task = null;
+        }
+        if (!this.isDestroyed) {
+            logger.warn(`Hash worker failed: ${error.message}`);
+            this.dispatch();
+        }
+    }
+
+    async destroy() {
+        if (this.isDestroyed) return;
+        this.isDestroyed = true;
+
+        const error = new Error('Hashing was cancelled.');
+        this.tasks.splice(0).forEach(task => task.reject(error));
+
+        const workers = [...this.workers];
+        workers.forEach(worker => worker.task?.reject(error));
+        this.workers.clear();
+        this.idle = [];
+        await Promise.all(workers.map(worker => worker.terminate()));
+    }
+}
+
+module.exports = {
+    HashPool
+};
@@ -0,0 +1,30 @@
+const { parentPort, workerData } = require('worker_threads');
+const { createReadStream } = require('fs');
+const crypto = require('crypto');
+
+// Hashes one file at a time for HashPool, reporting the bytes read since the
+// last report so the main process can keep repair progress moving.
+parentPort.on('message', ({ filePath }) => {
+    const hash = crypto.createHash('md5');
+    let unreported = 0;
+    let lastReport = Date.now();
+
+    createReadStream(filePath, { highWaterMark: workerData.chunkSize })
+        .on('data', (chunk) => {
+            hash.update(chunk);
+            unreported += chunk.length;
+
+            if (Date.now() - lastReport >= workerData.progressInterval) {
+                parentPort.postMessage({ progress: unreported });
+                unreported = 0;
+                lastReport = Date.now();
+            }
+        })
+        .on('end', () => {
+            if (unreported > 0) parentPort.postMessage({ progress: unreported });
+            parentPort.postMessage({ md5: hash.digest('hex') });
+        })
+        .on('error', (error) => {
+            parentPort.postMessage({ error: error.message });
+        });
+});
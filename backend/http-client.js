@@ -0,0 +1,218 @@
+const { promises: fs, createWriteStream } = require('fs');
+const https = require('https');
+const http = require('http');
+const zlib = require('zlib');
+const { pipeline } = require('stream');
+
+const { CONSTANTS } = require('./core');
+const { proxyManager } = require('./proxy');
+
+const MAX_REDIRECTS = 5;
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+
+class HttpClientError extends Error {
+    constructor(message, { url = null, code = null } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.url = url;
+        if (code) this.code = code;
+    }
+}
+
+// DNS failures, refused or reset connections and truncated bodies.
+class NetworkError extends HttpClientError {}
+
+class TimeoutError extends NetworkError {}
+
+class AbortError extends HttpClientError {
+    constructor(message, options) {
+        super(message, options);
+        this.name = 'AbortError';
+    }
+}
+
+class HttpError extends HttpClientError {
+    constructor(message, { url, statusCode }) {
+        super(message, { url });
+        this.statusCode = statusCode;
+    }
+
+    get isClientError() {
+        return this.statusCode >= 400 && this.statusCode < 500;
+    }
+
+    get isServerError() {
+        return this.statusCode >= 500;
+    }
+}
+
+function toClientError(error, url, signal) {
+    if (error instanceof HttpClientError) return error;
+    if (signal?.aborted || error.name === 'AbortError') {
+        return new AbortError(`Request aborted: ${url}`, { url });
+    }
+    return new NetworkError(`Request error: ${error.message}`, { url, code: error.code });
+}
+
+function decodeBody(response) {
+    const encoding = String(response.headers['content-encoding'] || '').toLowerCase();
+    const decoder = encoding === 'gzip' ? zlib.createGunzip() :
+        encoding === 'br' ? zlib.createBrotliDecompress() :
+        encoding === 'deflate' ? zlib.createInflate() :
+        null;
+
+    return decoder ? pipeline(response, decoder, () => {}) : response;
+}
+
+function sendRequest(url, { method, headers, signal, connectTimeout, useProxy }) {
+    return new Promise((resolve, reject) => {
+        const protocol = url.startsWith('https:') ? https : http;
+        const request = protocol.request(url, {
+            method,
+            headers,
+            signal,
+            agent: useProxy ? proxyManager.getAgent(url) : undefined
+        }, (response) => {
+            request.setTimeout(0);
+            resolve(response);
+        });
+
+        request.on('error', error => reject(toClientError(error, url, signal)));
+        if (connectTimeout > 0) {
+            request.setTimeout(connectTimeout, () => {
+                request.destroy(new TimeoutError(`Request timeout: ${url}`, { url, code: 'ETIMEDOUT' }));
+            });
+        }
+        request.end();
+    });
+}
+
+class HttpClient {
+    // Resolves once response headers arrive, after following redirects.
+    // `body` is the decoded stream; `response` is the raw one for callers that
+    // need exact bytes (ranged downloads). 4xx/5xx reject with an HttpError and
+    // a 304 resolves with `notModified` set. `useProxy: false` connects directly,
+    // for LAN peers.
+    async request(url, {
+        method = 'GET',
+        headers = {},
+        signal,
+        connectTimeout = CONSTANTS.HTTP_TIMEOUT,
+        idleTimeout = CONSTANTS.HTTP_TIMEOUT,
+        maxRedirects = MAX_REDIRECTS,
+        decompress = true,
+        etag = null,
+        lastModified = null,
+        useProxy = true
+    } = {}) {
+        const requestHeaders = {
+            'Accept-Encoding': decompress ? 'gzip, deflate, br' : 'identity',
+            ...headers
+        };
+        if (etag) requestHeaders['If-None-Match'] = etag;
+        if (lastModified) requestHeaders['If-Modified-Since'] = lastModified;
+
+        let currentUrl = url;
+        let currentMethod = method;
+
+        for (let redirects = 0;; redirects++) {
+            if (signal?.aborted) throw new AbortError(`Request aborted: ${currentUrl}`, { url: currentUrl });
+
+            const response = await sendRequest(currentUrl, {
+                method: currentMethod,
+                headers: requestHeaders,
+                signal,
+                connectTimeout,
+                useProxy
+            });
+            const { statusCode } = response;
+
+            if (REDIRECT_STATUSES.has(statusCode) && response.headers.location) {
+                response.resume();
+                if (redirects >= maxRedirects) {
+                    throw new HttpError(`Too many redirects for ${url}`, { url, statusCode });
+                }
+
+                currentUrl = new URL(response.headers.location, currentUrl).toString();
+                if (statusCode === 303 && currentMethod !== 'HEAD') currentMethod = 'GET';
+                continue;
+            }
+
+            const result = {
+                url: currentUrl,
+                statusCode,
+                headers: response.headers,
+                etag: response.headers.etag || null,
+                lastModified: response.headers['last-modified'] || null,
+                notModified: statusCode === 304,
+                response,
+                body: null
+            };
+
+            if (statusCode === 304) {
+                response.resume();
+                return result;
+            }
+
+            if (statusCode >= 400) {
+                response.resume();
+                throw new HttpError(`HTTP ${statusCode} for ${currentUrl}`, { url: currentUrl, statusCode });
+            }
+
+            if (idleTimeout > 0) {
+                response.setTimeout(idleTimeout, () => {
+                    response.destroy(new TimeoutError(`No data received for ${idleTimeout / 1000}s: ${currentUrl}`, {
+                        url: currentUrl,
+                        code: 'ETIMEDOUT'
+                    }));
+                });
+            }
+
+            result.body = decompress ? decodeBody(response) : response;
+            return result;
+        }
+    }
+
+    async getText(url, options = {}) {
+        const { body } = await this.request(url, options);
+
+        return await new Promise((resolve, reject) => {
+            const chunks = [];
+            body.on('data', chunk => chunks.push(chunk));
+            body.on('end', () => resolve(Buffer.concat(chunks).toString('utf-8')));
+            body.on('error', error => reject(toClientError(error, url, options.signal)));
+        });
+    }
+
+    // Writes through a temporary file so an interrupted download never replaces
+    // a good copy.
+    async download(url, destPath, options = {}) {
+        const result = await this.request(url, options);
+        if (result.notModified) return result;
+
+        const tempPath = `${destPath}.download`;
+        try {
+            await new Promise((resolve, reject) => {
+                pipeline(result.body, createWriteStream(tempPath), error =>
+                    error ? reject(toClientError(error, url, options.signal)) : resolve());
+            });
+            await fs.rename(tempPath, destPath);
+        } catch (error) {
+            await fs.unlink(tempPath).catch(() => {});
+            throw error;
+        }
+        return result;
+    }
+}
+
+const httpClient = new HttpClient();
+
+module.exports = {
+    HttpClient,
+    HttpClientError,
+    NetworkError,
+    TimeoutError,
+    AbortError,
+    HttpError,
+    httpClient
+};
@@ -0,0 +1,538 @@
+const http = require('http');
+const dgram = require('dgram');
+const net = require('net');
+const os = require('os');
+const crypto = require('crypto');
+const { promises: fs, createReadStream } = require('fs');
+const { pipeline } = require('stream');
+
+const { CONSTANTS, VERSION_TYPES, CoreUtils, GameUtils } = require('./core');
+const { logger } = require('./logger');
+const { CdnPool } = require('./cdn-pool');
+const { apiConfig } = require('./api-config');
+const { httpClient } = require('./http-client');
+
+const API_PREFIX = '/peebify/v1';
+const FILE_PATH_PATTERN = /^\/peebify\/v1\/files\/([^/]+)\/(.+)$/;
+
+const MDNS_ADDRESS = '224.0.0.251';
+const MDNS_PORT = 5353;
+const SERVICE_NAME = '_peebify._tcp.local';
+const DNS_TYPES = Object.freeze({ PTR: 12, TXT: 16, SRV: 33, ANY: 255 });
+const RECORD_TTL = 120;
+
+// Minimal DNS message helpers, enough for mDNS service discovery of
+// Peebify peers. Names are written uncompressed but compressed names from
+// other responders are read.
+function encodeName(name) {
+    const labels = name.split('.').filter(Boolean).map(label => {
+        const data = Buffer.from(label);
+        return Buffer.concat([Buffer.from([data.length]), data]);
+    });
+    return Buffer.concat([...labels, Buffer.from([0])]);
+}
+
+function decodeName(buffer, offset) {
+    const labels = [];
+    let end = null;
+
+    for (let steps = 0; steps < 128; steps++) {
+        if (offset >= buffer.length) break;
+
+        const length = buffer[offset];
+        if ((length & 0xc0) === 0xc0) {
+            if (offset + 2 > buffer.length) break;
+            if (end === null) end = offset + 2;
+            offset = buffer.readUInt16BE(offset) & 0x3fff;
+        } else if (length === 0) {
+            return { name: labels.join('.'), end: end ?? offset + 1 };
+        } else {
+            if (offset + 1 + length > buffer.length) break;
+            labels.push(buffer.toString('utf-8', offset + 1, offset + 1 + length));
+            offset += 1 + length;
+        }
+    }
+    throw new Error('Malformed DNS name');
+}
+
+function encodeQuestion(name, type) {
+    const fields = Buffer.alloc(4);
+    fields.writeUInt16BE(type, 0);
+    fields.writeUInt16BE(1, 2);
+    return Buffer.concat([encodeName(name), fields]);
+}
+
+function encodeRecord(name, type, data) {
+    const fields = Buffer.alloc(10);
+    fields.writeUInt16BE(type, 0);
+    fields.writeUInt16BE(1, 2);
+    fields.writeUInt32BE(RECORD_TTL, 4);
+    fields.writeUInt16BE(data.length, 8);
+    return Buffer.concat([encodeName(name), fields, data]);
+}
+
+function encodePacket({ questions = [], answers = [], isResponse = false }) {
+    const header = Buffer.alloc(12);
+    header.writeUInt16BE(isResponse ? 0x8400 : 0, 2);
+    header.writeUInt16BE(questions.length, 4);
+    header.writeUInt16BE(answers.length, 6);
+    return Buffer.concat([header, ...questions, ...answers]);
+}
+
+// Packets come from anyone on the network, so every count and length is
+// checked against the buffer before it is read.
+function decodePacket(buffer) {
+    if (buffer.length < 12) throw new Error('Malformed DNS packet');
+
+    const isResponse = (buffer.readUInt16BE(2) & 0x8000) !== 0;
+    const questionCount = buffer.readUInt16BE(4);
+    const recordCount = buffer.readUInt16BE(6) + buffer.readUInt16BE(8) + buffer.readUInt16BE(10);
+
+    let offset = 12;
+    const questions = [];
+    for (let i = 0; i < questionCount; i++) {
+        const { name, end } = decodeName(buffer, offset);
+        if (end + 4 > buffer.length) throw new Error('Malformed DNS packet');
+        questions.push({ name, type: buffer.readUInt16BE(end) });
+        offset = end + 4;
+    }
+
+    const records = [];
+    for (let i = 0; i < recordCount; i++) {
+        const { name, end } = decodeName(buffer, offset);
+        if (end + 10 > buffer.length) throw new Error('Malformed DNS packet');
+
+        const type = buffer.readUInt16BE(end);
+        const length = buffer.readUInt16BE(end + 8);
+        if (end + 10 + length > buffer.length) throw new Error('Malformed DNS packet');
+        records.push({ name, type, data: buffer.subarray(end + 10, end + 10 + length) });
+        offset = end + 10 + length;
+    }
+
+    return { isResponse, questions, records };
+}
+
+function decodeTxt(data) {
+    const values = {};
+    for (let offset = 0; offset < data.length;) {
+        if (offset + 1 + data[offset] > data.length) break;
+
+        const entry = data.toString('utf-8', offset + 1, offset + 1 + data[offset]);
+        const separator = entry.indexOf('=');
+        if (separator > 0) values[entry.slice(0, separator)] = entry.slice(separator + 1);
+        offset += 1 + data[offset];
+    }
+    return values;
+}
+
+function encodeTxt(values) {
+    return Buffer.concat(Object.entries(values).map(([key, value]) => {
+        const entry = Buffer.from(`${key}=${value}`);
+        return Buffer.concat([Buffer.from([entry.length]), entry]);
+    }));
+}
+
+// Files are served without authentication, so only loopback, private and
+// link-local addresses may connect.
+const PRIVATE_NETWORKS = new net.BlockList();
+[['127.0.0.0', 8], ['10.0.0.0', 8], ['172.16.0.0', 12], ['192.168.0.0', 16], ['169.254.0.0', 16]]
+    .forEach(([network, prefix]) => PRIVATE_NETWORKS.addSubnet(network, prefix, 'ipv4'));
+[['::1', 128], ['fc00::', 7], ['fe80::', 10]]
+    .forEach(([network, prefix]) => PRIVATE_NETWORKS.addSubnet(network, prefix, 'ipv6'));
+
+function isPrivateAddress(address) {
+    const ip = String(address || '').replace(/^::ffff:(?=\d+\.)/i, '').replace(/%.*$/, '');
+    if (net.isIPv4(ip)) return PRIVATE_NETWORKS.check(ip, 'ipv4');
+    return net.isIPv6(ip) && PRIVATE_NETWORKS.check(ip, 'ipv6');
+}
+
+// Single ranges only: "bytes=start-end", "bytes=start-" and "bytes=-length".
+// Anything else is served as the whole file.
+function parseRange(header, size) {
+    const match = /^bytes=(\d*)-(\d*)$/.exec(header || '');
+    if (!match || (!match[1] && !match[2]) || size === 0) return null;
+
+    const range = match[1] ?
+        { start: parseInt(match[1], 10), end: match[2] ? Math.min(parseInt(match[2], 10), size - 1) : size - 1 } :
+        { start: Math.max(0, size - parseInt(match[2], 10)), end: size - 1 };
+
+    range.satisfiable = range.start <= range.end && range.start < size;
+    return range;
+}
+
+// "host", "host:port" and "[ipv6]:port", separated by commas or spaces.
+function parsePeerAddresses(value, defaultPort) {
+    return String(value || '')
+        .split(/[\s,]+/)
+        .filter(Boolean)
+        .map(entry => {
+            const match = /^\[?([^\]]+?)\]?(?::(\d+))?$/.exec(entry);
+            if (!match) return null;
+            const isBareIpv6 = !entry.startsWith('[') && entry.split(':').length > 2;
+            return isBareIpv6 ?
+                { host: entry, port: defaultPort } :
+                { host: match[1], port: parseInt(match[2], 10) || defaultPort };
+        })
+        .filter(Boolean);
+}
+
+function formatPeerUrl({ host, port }) {
+    return `http://${host.includes(':') ? `[${host}]` : host}:${port}`;
+}
+
+// Only the live default channel is shared, and only when the local install
+// is on that version; every file a peer serves is listed in that index.
+async function fetchSharedIndex() {
+    const clientId = apiConfig.getClientId();
+    const { version, resources } = await CdnPool.fetchChannelIndex(VERSION_TYPES.DEFAULT);
+
+    return {
+        clientId,
+        version,
+        resources: new Map(resources.map(resource => [resource.dest, resource]))
+    };
+}
+
+class LanPeerManager {
+    constructor() {
+        this.launcherConfig = null;
+        this.id = crypto.randomUUID();
+        this.server = null;
+        this.responder = null;
+        this.sharedIndex = null;
+        this.sharedIndexPromise = null;
+        this.sharedIndexCheckedAt = 0;
+    }
+
+    useConfig(launcherConfig) {
+        this.launcherConfig = launcherConfig;
+    }
+
+    getSettings() {
+        const settings = this.launcherConfig?.get('network')?.peers || {};
+        return {
+            enabled: Boolean(settings.enabled),
+            port: parseInt(settings.port, 10) || CONSTANTS.LAN_PEER_PORT,
+            addresses: settings.addresses || ''
+        };
+    }
+
+    get isRunning() {
+        return this.server !== null;
+    }
+
+    async applySettings() {
+        await this.stop();
+        if (this.getSettings().enabled) {
+            await this.start();
+        }
+    }
+
+    async start() {
+        if (this.server) return;
+        const { port } = this.getSettings();
+
+        const server = http.createServer((req, res) => {
+            this.handleRequest(req, res).catch(error => {
+                logger.warn(`LAN peer request failed: ${error.message}`);
+                if (!res.headersSent) res.writeHead(500);
+                res.end();
+            });
+        });
+
+        try {
+            await new Promise((resolve, reject) => {
+                server.once('error', reject);
+                server.listen(port, () => {
+                    server.off('error', reject);
+                    resolve();
+                });
+            });
+        } catch (error) {
+            logger.error(`Could not start LAN peer server on port ${port}: ${error.message}`);
+            return;
+        }
+
+        this.server = server;
+        logger.info(`Sharing game files with LAN peers on port ${port}.`);
+        this.startResponder(port);
+    }
+
+    async stop() {
+        if (this.responder) {
+            try {
+                this.responder.close();
+            } catch {}
+            this.responder = null;
+        }
+
+        if (this.server) {
+            const server = this.server;
+            this.server = null;
+            server.closeAllConnections?.();
+            await new Promise(resolve => server.close(() => resolve()));
+            logger.info('Stopped sharing game files with LAN peers.');
+        }
+    }
+
+    startResponder(port) {
+        const socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+        const instanceName = `Peebify-${this.id.slice(0, 8)}.${SERVICE_NAME}`;
+        const hostName = `${os.hostname().replace(/[^a-z0-9-]/gi, '-')}.local`;
+
+        socket.on('message', (message, remote) => {
+            let packet;
+            try {
+                packet = decodePacket(message);
+            } catch {
+                return;
+            }
+            if (packet.isResponse) return;
+
+            const isQueried = packet.questions.some(q =>
+                q.name.toLowerCase() === SERVICE_NAME && (q.type === DNS_TYPES.PTR || q.type === DNS_TYPES.ANY));
+            if (!isQueried) return;
+
+            const srv = Buffer.alloc(6);
+            srv.writeUInt16BE(port, 4);
+            const response = encodePacket({
+                isResponse: true,
+                answers: [
+                    encodeRecord(SERVICE_NAME, DNS_TYPES.PTR, encodeName(instanceName)),
+                    encodeRecord(instanceName, DNS_TYPES.SRV, Buffer.concat([srv, encodeName(hostName)])),
+                    encodeRecord(instanceName, DNS_TYPES.TXT, encodeTxt({ id: this.id }))
+                ]
+            });
+
+            // Queries from an ephemeral port expect a unicast reply.
+            const target = remote.port === MDNS_PORT ? MDNS_ADDRESS : remote.address;
+            socket.send(response, remote.port, target);
+        });
+
+        socket.on('error', (error) => {
+            logger.warn(`LAN peer discovery responder stopped: ${error.message}`);
+            try {
+                socket.close();
+            } catch {}
+            if (this.responder === socket) this.responder = null;
+        });
+
+        socket.bind(MDNS_PORT, () => {
+            try {
+                socket.addMembership(MDNS_ADDRESS);
+            } catch (error) {
+                logger.warn(`Could not join the mDNS group: ${error.message}`);
+            }
+        });
+
+        this.responder = socket;
+    }
+
+    async getSharedIndex() {
+        const gamePath = this.launcherConfig?.get('gamePath');
+        const localVersion = await GameUtils.getLocalGameVersion(gamePath);
+        if (!localVersion) return null;
+
+        // Regions share version numbers but not files, so an index loaded for
+        // another region is dropped.
+        const clientId = apiConfig.getClientId();
+        if (this.sharedIndex && this.sharedIndex.clientId !== clientId) {
+            this.sharedIndex = null;
+            this.sharedIndexCheckedAt = 0;
+        }
+
+        if (this.sharedIndex?.version === localVersion) {
+            return { ...this.sharedIndex, gamePath };
+        }
+
+        const isStale = Date.now() - this.sharedIndexCheckedAt > CONSTANTS.LAN_PEER_INDEX_REFRESH;
+        if (isStale && !this.sharedIndexPromise) {
+            this.sharedIndexCheckedAt = Date.now();
+            this.sharedIndexPromise = fetchSharedIndex()
+                .then(index => {
+                    this.sharedIndex = index;
+                })
+                .catch(error => logger.warn(`Could not load the file index for LAN sharing: ${error.message}`))
+                .finally(() => {
+                    this.sharedIndexPromise = null;
+                });
+        }
+        await this.sharedIndexPromise;
+
+        const index = this.sharedIndex;
+        return index?.clientId === clientId && index.version === localVersion ? { ...index, gamePath } : null;
+    }
+
+    async handleRequest(req, res) {
+        if (!isPrivateAddress(req.socket.remoteAddress)) {
+            logger.warn(`Refused LAN peer request from ${req.socket.remoteAddress}, it is not on a private network.`);
+            res.writeHead(403);
+            return res.end();
+        }
+
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
+            res.writeHead(405);
+            return res.end();
+        }
+
+        const pathname = new URL(req.url, 'http://peer').pathname;
+        if (pathname === `${API_PREFIX}/info`) {
+            const index = await this.getSharedIndex();
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            return res.end(JSON.stringify({
+                id: this.id,
+                clientId: index?.clientId || apiConfig.getClientId(),
+                version: index?.version || null
+            }));
+        }
+
+        let resource = null;
+        let index = null;
+        const match = FILE_PATH_PATTERN.exec(pathname);
+        if (match) {
+            index = await this.getSharedIndex();
+            try {
+                if (index?.version === decodeURIComponent(match[1])) {
+                    resource = index.resources.get(decodeURIComponent(match[2])) || null;
+                }
+            } catch {}
+        }
+
+        const filePath = resource ? CoreUtils.normalizePath(index.gamePath, resource.dest) : null;
+        const stats = filePath ? await fs.stat(filePath).catch(() => null) : null;
+        if (!stats?.isFile() || stats.size !== parseInt(resource.size, 10)) {
+            res.writeHead(404);
+            return res.end();
+        }
+
+        const range = parseRange(req.headers.range, stats.size);
+        if (range && !range.satisfiable) {
+            res.writeHead(416, { 'Content-Range': `bytes */${stats.size}` });
+            return res.end();
+        }
+
+        const start = range ? range.start : 0;
+        const end = range ? range.end : stats.size - 1;
+        res.writeHead(range ? 206 : 200, {
+            'Content-Type': 'application/octet-stream',
+            'Content-Length': end - start + 1,
+            'Accept-Ranges': 'bytes',
+            ...(range ? { 'Content-Range': `bytes ${start}-${end}/${stats.size}` } : {})
+        });
+        if (req.method === 'HEAD' || stats.size === 0) return res.end();
+
+        pipeline(createReadStream(filePath, { start, end }), res, () => {});
+    }
+
+    discover(timeout = CONSTANTS.LAN_DISCOVERY_TIMEOUT) {
+        return new Promise((resolve) => {
+            const peers = new Map();
+            const socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+
+            const finish = () => {
+                clearTimeout(timer);
+                try {
+                    socket.close();
+                } catch {}
+                resolve([...peers.values()]);
+            };
+            const timer = setTimeout(finish, timeout);
+
+            socket.on('message', (message, remote) => {
+                let packet;
+                try {
+                    packet = decodePacket(message);
+                } catch {
+                    return;
+                }
+                if (!packet.isResponse) return;
+
+                const srv = packet.records.find(r => r.type === DNS_TYPES.SRV && r.name.toLowerCase().endsWith(SERVICE_NAME));
+                const txt = packet.records.find(r => r.type === DNS_TYPES.TXT && r.name.toLowerCase().endsWith(SERVICE_NAME));
+                if (!srv || srv.data.length < 6) return;
+
+                const id = txt ? decodeTxt(txt.data).id : null;
+                if (id === this.id) return;
+
+                const peer = { host: remote.address, port: srv.data.readUInt16BE(4) };
+                peers.set(`${peer.host}:${peer.port}`, peer);
+            });
+
+            socket.on('error', (error) => {
+                logger.warn(`LAN peer discovery failed: ${error.message}`);
+                finish();
+            });
+
+            socket.bind(0, () => {
+                const query = encodePacket({
+                    questions: [encodeQuestion(SERVICE_NAME, DNS_TYPES.PTR)]
+                });
+                socket.send(query, MDNS_PORT, MDNS_ADDRESS, (error) => {
+                    if (error) {
+                        logger.warn(`Could not send LAN peer discovery query: ${error.message}`);
+                        finish();
+                    }
+                });
+            });
+        });
+    }
+
+    // Returns base URLs of reachable peers that share the given game version
+    // of the same region.
+    async findPeers(version, signal) {
+        const settings = this.getSettings();
+        if (!settings.enabled) return [];
+
+        const clientId = apiConfig.getClientId();
+        const candidates = new Map();
+        for (const peer of [...parsePeerAddresses(settings.addresses, settings.port), ...await this.discover()]) {
+            candidates.set(formatPeerUrl(peer), peer);
+        }
+
+        const peers = await Promise.all([...candidates.keys()].map(async (baseUrl) => {
+            try {
+                const info = JSON.parse(await httpClient.getText(`${baseUrl}${API_PREFIX}/info`, {
+                    signal,
+                    connectTimeout: CONSTANTS.LAN_PEER_TIMEOUT,
+                    idleTimeout: CONSTANTS.LAN_PEER_TIMEOUT,
+                    useProxy: false
+                }));
+                const isMatch = info.id !== this.id && info.clientId === clientId && info.version === version;
+                return isMatch ? { baseUrl, id: info.id } : null;
+            } catch (error) {
+                logger.warn(`LAN peer ${baseUrl} is not available: ${error.message}`);
+                return null;
+            }
+        }));
+
+        // A peer found both by address and by discovery is only used once.
+        const byId = new Map();
+        peers.filter(Boolean).forEach(peer => {
+            if (!byId.has(peer.id)) byId.set(peer.id, peer.baseUrl);
+        });
+        const available = [...byId.values()];
+        logger.info(`Found ${available.length} LAN peers with Patch ${version} for ${clientId} (${candidates.size} checked).`);
+        return available;
+    }
+
+    getFileUrl(baseUrl, version, dest) {
+        const encodedDest = dest.replace(/\\/g, '/').split('/').map(encodeURIComponent).join('/');
+        return `${baseUrl}${API_PREFIX}/files/${encodeURIComponent(version)}/${encodedDest}`;
+    }
+}
+
+const lanPeerManager = new LanPeerManager();
+
+module.exports = {
+    LanPeerManager,
+    lanPeerManager,
+    encodeName,
+    encodeQuestion,
+    encodeRecord,
+    encodePacket,
+    encodeTxt,
+    decodeName,
+    decodePacket,
+    decodeTxt,
+    parseRange
+};
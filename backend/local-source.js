@@ -0,0 +1,277 @@
+const { promises: fs, createReadStream } = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { pipeline, Readable } = require('stream');
+
+const { CoreUtils } = require('./core');
+const { logger } = require('./logger');
+
+const EOCD_SIGNATURE = 0x06054b50;
+const ZIP64_LOCATOR_SIGNATURE = 0x07064b50;
+const ZIP64_EOCD_SIGNATURE = 0x06064b50;
+const CENTRAL_ENTRY_SIGNATURE = 0x02014b50;
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const ZIP64_EXTRA_ID = 0x0001;
+const MAX_EOCD_SEARCH = 22 + 0xffff;
+const UINT32_MAX = 0xffffffff;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+
+function normalizeEntryName(name) {
+    return name.replace(/\\/g, '/').replace(/^\/+/, '');
+}
+
+// Archives are often wrapped in a top-level folder, so the resources may live
+// one directory below the root.
+function findPrefix(prefixes, hasFile, resources) {
+    const samples = resources.slice(0, 20).map(r => normalizeEntryName(r.dest));
+
+    let bestPrefix = '';
+    let bestMatches = 0;
+    for (const prefix of prefixes) {
+        const matches = samples.filter(dest => hasFile(`${prefix}${dest}`)).length;
+        if (matches > bestMatches) {
+            bestPrefix = prefix;
+            bestMatches = matches;
+        }
+    }
+    return bestPrefix;
+}
+
+class FolderSource {
+    constructor(rootPath) {
+        this.rootPath = rootPath;
+        this.prefix = '';
+    }
+
+    async prepare(resources) {
+        const entries = await fs.readdir(this.rootPath, { withFileTypes: true });
+        const prefixes = ['', ...entries.filter(e => e.isDirectory()).map(e => `${e.name}/`)];
+
+        const existing = new Set();
+        const samples = resources.slice(0, 20).map(r => normalizeEntryName(r.dest));
+        for (const prefix of prefixes) {
+            for (const dest of samples) {
+                if (await CoreUtils.fileExists(path.join(this.rootPath, `${prefix}${dest}`))) {
+                    existing.add(`${prefix}${dest}`);
+                }
+            }
+        }
+
+        this.prefix = findPrefix(prefixes, name => existing.has(name), resources);
+    }
+
+    resolve(dest) {
+        return path.join(this.rootPath, `${this.prefix}${normalizeEntryName(dest)}`);
+    }
+
+    async getSize(dest) {
+        try {
+            const stats = await fs.stat(this.resolve(dest));
+            return stats.isFile() ? stats.size : null;
+        } catch {
+            return null;
+        }
+    }
+
+    openReadStream(dest) {
+        return createReadStream(this.resolve(dest), {
+            highWaterMark: 1024 * 1024
+        });
+    }
+
+    async close() {}
+}
+
+// Minimal ZIP reader: stored and deflated entries, including ZIP64 archives
+// for files larger than 4GB.
+class ZipSource {
+    constructor(archivePath) {
+        this.archivePath = archivePath;
+        this.entries = new Map();
+        this.prefix = '';
+        this.handle = null;
+        this.size = 0;
+    }
+
+    // Offsets and sizes come from the archive itself, so a read past its end
+    // returns only what is there and callers check the length.
+    async read(position, length) {
+        const buffer = Buffer.alloc(Math.max(0, Math.min(length, this.size - position)));
+        if (buffer.length === 0) return buffer;
+
+        const { bytesRead } = await this.handle.read(buffer, 0, buffer.length, position);
+        return buffer.subarray(0, bytesRead);
+    }
+
+    async prepare(resources) {
+        this.handle = await fs.open(this.archivePath, 'r');
+        const { size } = await this.handle.stat();
+        this.size = size;
+
+        const tailLength = Math.min(size, MAX_EOCD_SEARCH);
+        const tail = await this.read(size - tailLength, tailLength);
+
+        let eocdIndex = -1;
+        for (let i = tail.length - 22; i >= 0; i--) {
+            if (tail.readUInt32LE(i) === EOCD_SIGNATURE) {
+                eocdIndex = i;
+                break;
+            }
+        }
+        if (eocdIndex === -1) {
+            throw new Error('Not a valid ZIP archive.');
+        }
+
+        let entryCount = tail.readUInt16LE(eocdIndex + 10);
+        let directorySize = tail.readUInt32LE(eocdIndex + 12);
+        let directoryOffset = tail.readUInt32LE(eocdIndex + 16);
+
+        const locatorIndex = eocdIndex - 20;
+        if (locatorIndex >= 0 && tail.readUInt32LE(locatorIndex) === ZIP64_LOCATOR_SIGNATURE) {
+            const zip64Offset = Number(tail.readBigUInt64LE(locatorIndex + 8));
+            const zip64 = await this.read(zip64Offset, 56);
+            if (zip64.length < 56 || zip64.readUInt32LE(0) !== ZIP64_EOCD_SIGNATURE) {
+                throw new Error('Corrupt ZIP64 archive.');
+            }
+            entryCount = Number(zip64.readBigUInt64LE(32));
+            directorySize = Number(zip64.readBigUInt64LE(40));
+            directoryOffset = Number(zip64.readBigUInt64LE(48));
+        }
+
+        const directory = await this.read(directoryOffset, directorySize);
+        if (directory.length < directorySize) {
+            throw new Error('Corrupt ZIP central directory.');
+        }
+
+        let offset = 0;
+        for (let i = 0; i < entryCount; i++) {
+            if (offset + 46 > directory.length || directory.readUInt32LE(offset) !== CENTRAL_ENTRY_SIGNATURE) {
+                throw new Error('Corrupt ZIP central directory.');
+            }
+
+            const flags = directory.readUInt16LE(offset + 8);
+            const method = directory.readUInt16LE(offset + 10);
+            let compressedSize = directory.readUInt32LE(offset + 20);
+            let size = directory.readUInt32LE(offset + 24);
+            const nameLength = directory.readUInt16LE(offset + 28);
+            const extraLength = directory.readUInt16LE(offset + 30);
+            const commentLength = directory.readUInt16LE(offset + 32);
+            let headerOffset = directory.readUInt32LE(offset + 42);
+            if (offset + 46 + nameLength + extraLength + commentLength > directory.length) {
+                throw new Error('Corrupt ZIP central directory.');
+            }
+
+            const name = normalizeEntryName(directory.toString('utf-8', offset + 46, offset + 46 + nameLength));
+            const extra = directory.subarray(offset + 46 + nameLength, offset + 46 + nameLength + extraLength);
+
+            for (let e = 0; e + 4 <= extra.length;) {
+                const id = extra.readUInt16LE(e);
+                const length = extra.readUInt16LE(e + 2);
+                if (id === ZIP64_EXTRA_ID) {
+                    const end = Math.min(e + 4 + length, extra.length);
+                    let field = e + 4;
+                    const readField = () => {
+                        if (field + 8 > end) {
+                            throw new Error('Corrupt ZIP64 extra field.');
+                        }
+                        field += 8;
+                        return Number(extra.readBigUInt64LE(field - 8));
+                    };
+
+                    if (size === UINT32_MAX) size = readField();
+                    if (compressedSize === UINT32_MAX) compressedSize = readField();
+                    if (headerOffset === UINT32_MAX) headerOffset = readField();
+                }
+                e += 4 + length;
+            }
+
+            const isEncrypted = (flags & 0x1) !== 0;
+            const isSupported = method === METHOD_STORED || method === METHOD_DEFLATE;
+            if (!name.endsWith('/') && !isEncrypted && isSupported) {
+                this.entries.set(name, { method, compressedSize, size, headerOffset });
+            }
+
+            offset += 46 + nameLength + extraLength + commentLength;
+        }
+
+        const prefixes = new Set(['']);
+        for (const name of this.entries.keys()) {
+            const slash = name.indexOf('/');
+            if (slash > 0) prefixes.add(name.slice(0, slash + 1));
+        }
+        this.prefix = findPrefix([...prefixes], name => this.entries.has(name), resources);
+
+        logger.info(`Opened ZIP archive with ${this.entries.size} files${this.prefix ? ` under ${this.prefix}` : ''}`);
+    }
+
+    getEntry(dest) {
+        return this.entries.get(`${this.prefix}${normalizeEntryName(dest)}`) || null;
+    }
+
+    async getSize(dest) {
+        return this.getEntry(dest)?.size ?? null;
+    }
+
+    async openReadStream(dest) {
+        const entry = this.getEntry(dest);
+        if (!entry) throw new Error(`${dest} is not in the archive.`);
+
+        const header = await this.read(entry.headerOffset, 30);
+        if (header.length < 30 || header.readUInt32LE(0) !== LOCAL_HEADER_SIGNATURE) {
+            throw new Error(`Corrupt ZIP entry: ${dest}`);
+        }
+
+        const dataStart = entry.headerOffset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+        if (entry.compressedSize === 0) {
+            return Readable.from([]);
+        }
+
+        const raw = createReadStream(this.archivePath, {
+            start: dataStart,
+            end: dataStart + entry.compressedSize - 1,
+            highWaterMark: 1024 * 1024
+        });
+        return entry.method === METHOD_DEFLATE ?
+            pipeline(raw, zlib.createInflateRaw(), () => {}) :
+            raw;
+    }
+
+    async close() {
+        await this.handle?.close().catch(() => {});
+        this.handle = null;
+    }
+}
+
+class LocalSource {
+    static async open(sourcePath, resources) {
+        const stats = await fs.stat(sourcePath).catch(() => null);
+        if (!stats) {
+            throw new Error(`Local source not found: ${sourcePath}`);
+        }
+
+        let source;
+        if (stats.isDirectory()) {
+            source = new FolderSource(sourcePath);
+        } else if (path.extname(sourcePath).toLowerCase() === '.zip') {
+            source = new ZipSource(sourcePath);
+        } else {
+            throw new Error('Local source must be a folder or a .zip archive.');
+        }
+
+        try {
+            await source.prepare(resources);
+        } catch (error) {
+            await source.close();
+            throw error;
+        }
+        return source;
+    }
+}
+
+module.exports = {
+    LocalSource,
+    FolderSource,
+    ZipSource
+};
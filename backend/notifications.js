@@ -45,5 +45,6 @@ function setupNotificationIPC(ipcMain) {
 }
 
 module.exports = {
+    showNotification,
     setupNotificationIPC
 };
\ No newline at end of file
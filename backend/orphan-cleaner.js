@@ -0,0 +1,146 @@
+const { promises: fs } = require('fs');
+const path = require('path');
+
+const { CONSTANTS, CoreUtils } = require('./core');
+const { logger } = require('./logger');
+
+const LOCAL_INDEX_FILE = 'LocalGameResources.json';
+
+// Never reported as orphans: game settings and saves, the index and version
+// files kept next to the game, and in-progress launcher downloads.
+const PROTECTED_PATHS = [
+    'Client/Saved',
+    CONSTANTS.GAME_CONFIG_FILE,
+    LOCAL_INDEX_FILE,
+    'OriginResource.json'
+].map(p => p.toLowerCase());
+const PROTECTED_DIR_PREFIX = '.peebify-';
+const PROTECTED_EXTENSIONS = [
+    CONSTANTS.PARTIAL_DOWNLOAD_EXTENSION,
+    CONSTANTS.SEGMENT_STATE_EXTENSION
+];
+
+function toIndexKey(relativePath) {
+    return relativePath.replace(/\\/g, '/').replace(/^\/+/, '').toLowerCase();
+}
+
+// Finds files in the game's folders that the current resource index no longer
+// lists, such as paks from earlier versions, and removes them once confirmed.
+class OrphanCleaner {
+    constructor() {
+        this.lastScan = null;
+    }
+
+    static isProtected(relativePath) {
+        const key = toIndexKey(relativePath);
+
+        if (key.split('/').some(part => part.startsWith(PROTECTED_DIR_PREFIX))) return true;
+        if (PROTECTED_EXTENSIONS.some(extension => key.endsWith(extension))) return true;
+        return PROTECTED_PATHS.some(p => key === p || key.startsWith(`${p}/`));
+    }
+
+    static summarize({ files, totalBytes }) {
+        return {
+            count: files.length,
+            totalBytes,
+            files: files.slice(0, CONSTANTS.ORPHAN_PREVIEW_LIMIT).map(file => file.path)
+        };
+    }
+
+    // Only the top-level folders the current index installs into are walked,
+    // so files next to the game, such as the launcher's own, are never
+    // reported. Links are not followed.
+    async scan(installPath, resources) {
+        const indexed = new Set(resources.map(resource => toIndexKey(resource.dest)));
+        const folders = new Set([...indexed].filter(key => key.includes('/')).map(key => key.split('/')[0]));
+        const files = [];
+
+        const walk = async (dirPath) => {
+            const entries = await fs.readdir(dirPath, { withFileTypes: true }).catch(() => []);
+
+            for (const entry of entries) {
+                const fullPath = path.join(dirPath, entry.name);
+                const relativePath = path.relative(installPath, fullPath).split(path.sep).join('/');
+                if (OrphanCleaner.isProtected(relativePath)) continue;
+
+                if (entry.isDirectory()) {
+                    await walk(fullPath);
+                } else if (entry.isFile() && !indexed.has(toIndexKey(relativePath))) {
+                    const stats = await fs.stat(fullPath).catch(() => null);
+                    if (stats) files.push({ path: relativePath, size: stats.size });
+                }
+            }
+        };
+
+        const topLevel = await fs.readdir(installPath, { withFileTypes: true }).catch(() => []);
+        for (const entry of topLevel) {
+            if (entry.isDirectory() && folders.has(entry.name.toLowerCase()) && !OrphanCleaner.isProtected(entry.name)) {
+                await walk(path.join(installPath, entry.name));
+            }
+        }
+
+        const totalBytes = files.reduce((sum, file) => sum + file.size, 0);
+        this.lastScan = { installPath, files, totalBytes };
+
+        logger.info(`Found ${files.length} orphaned files (${(totalBytes / 1024 / 1024).toFixed(2)}MB) in ${installPath}`);
+        return { files, totalBytes };
+    }
+
+    // Only files from the last scan of the same install are removed, so the
+    // renderer never passes paths to delete.
+    async removeLastScan(installPath) {
+        const scan = this.lastScan;
+        if (!scan || scan.installPath !== installPath) {
+            throw new Error('No scan results for this installation. Scan for old files again.');
+        }
+        this.lastScan = null;
+
+        let removed = 0;
+        let freedBytes = 0;
+        const failed = [];
+        const touchedDirs = new Set();
+
+        for (const file of scan.files) {
+            const filePath = CoreUtils.normalizePath(installPath, file.path);
+            try {
+                await fs.unlink(filePath);
+                removed++;
+                freedBytes += file.size;
+                touchedDirs.add(path.dirname(filePath));
+            } catch (error) {
+                if (error.code === 'ENOENT') continue;
+                logger.warn(`Could not remove orphaned file ${file.path}: ${error.message}`);
+                failed.push(file.path);
+            }
+        }
+
+        await this.removeEmptyDirectories(installPath, touchedDirs);
+
+        logger.info(`Removed ${removed} orphaned files, freed ${(freedBytes / 1024 / 1024).toFixed(2)}MB` +
+            (failed.length > 0 ? `, ${failed.length} could not be removed.` : '.'));
+        return { removed, freedBytes, failed };
+    }
+
+    async removeEmptyDirectories(installPath, dirs) {
+        const root = path.resolve(installPath);
+        const deepestFirst = [...dirs].map(dir => path.resolve(dir)).sort((a, b) => b.length - a.length);
+
+        for (let dir of deepestFirst) {
+            while (dir !== root && dir.startsWith(root + path.sep)) {
+                try {
+                    await fs.rmdir(dir);
+                } catch {
+                    break;
+                }
+                dir = path.dirname(dir);
+            }
+        }
+    }
+}
+
+const orphanCleaner = new OrphanCleaner();
+
+module.exports = {
+    OrphanCleaner,
+    orphanCleaner
+};
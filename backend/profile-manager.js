@@ -0,0 +1,212 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const {
+    DEFAULT_CONFIGS,
+    VERSION_TYPES,
+    CoreUtils
+} = require('./core');
+const { logger } = require('./logger');
+const { apiConfig } = require('./api-config');
+
+// Settings that belong to a single game installation. LauncherConfig reads
+// and writes these on the active profile, so callers keep using get('gamePath').
+const PROFILE_KEYS = Object.keys(DEFAULT_CONFIGS.PROFILE).filter(key => key !== 'id' && key !== 'name');
+const MAX_NAME_LENGTH = 40;
+
+function createProfile(fields = {}) {
+    return {
+        ...JSON.parse(JSON.stringify(DEFAULT_CONFIGS.PROFILE)),
+        ...fields,
+        id: fields.id || crypto.randomUUID()
+    };
+}
+
+class ProfileManager extends EventEmitter {
+    constructor() {
+        super();
+        this.launcherConfig = null;
+        this.busyChecks = [];
+    }
+
+    useConfig(launcherConfig) {
+        this.launcherConfig = launcherConfig;
+    }
+
+    // Each check returns why the active installation cannot change right now,
+    // or null when it is free.
+    addBusyCheck(check) {
+        this.busyChecks.push(check);
+    }
+
+    getBusyReason() {
+        for (const check of this.busyChecks) {
+            const reason = check();
+            if (reason) return reason;
+        }
+        return null;
+    }
+
+    getProfiles() {
+        return this.launcherConfig.get('profiles', []);
+    }
+
+    getActiveId() {
+        return this.launcherConfig.get('activeProfileId');
+    }
+
+    list() {
+        const activeId = this.getActiveId();
+        return this.getProfiles().map(profile => ({
+            id: profile.id,
+            name: profile.name,
+            gamePath: profile.gamePath,
+            client: profile.client,
+            channel: profile.channel,
+            launchArgs: profile.launchArgs,
+            totalPlaytime: profile.totalPlaytime,
+            isActive: profile.id === activeId
+        }));
+    }
+
+    findProfile(id) {
+        const profile = this.getProfiles().find(p => p.id === id);
+        if (!profile) {
+            throw new Error('Profile not found.');
+        }
+        return profile;
+    }
+
+    normalizeName(name, profileId = null) {
+        const trimmed = String(name || '').trim().slice(0, MAX_NAME_LENGTH);
+        if (!trimmed) {
+            throw new Error('Profile name cannot be empty.');
+        }
+
+        const isTaken = this.getProfiles().some(p =>
+            p.id !== profileId && p.name.toLowerCase() === trimmed.toLowerCase()
+        );
+        if (isTaken) {
+            throw new Error(`A profile named "${trimmed}" already exists.`);
+        }
+        return trimmed;
+    }
+
+    normalizeClient(client) {
+        if (!apiConfig.getClients().some(c => c.id === client)) {
+            throw new Error(`Unknown region: ${client}`);
+        }
+        return client;
+    }
+
+    normalizeChannel(channel) {
+        if (!Object.values(VERSION_TYPES).includes(channel)) {
+            throw new Error(`Unknown game channel: ${channel}`);
+        }
+        return channel;
+    }
+
+    create({ name, client = apiConfig.getClientId(), channel = VERSION_TYPES.DEFAULT, launchArgs = '' } = {}) {
+        const profile = createProfile({
+            name: this.normalizeName(name),
+            client: this.normalizeClient(client),
+            channel: this.normalizeChannel(channel),
+            launchArgs: String(launchArgs).trim()
+        });
+
+        this.launcherConfig.set('profiles', [...this.getProfiles(), profile]);
+        logger.info(`Created profile "${profile.name}"`);
+        this.emit('changed');
+        return profile;
+    }
+
+    update(id, changes = {}) {
+        const profile = this.findProfile(id);
+        const isActive = id === this.getActiveId();
+
+        const changesSource = ['client', 'channel'].some(key => changes[key] !== undefined && changes[key] !== profile[key]);
+        if (isActive && changesSource) {
+            const reason = this.getBusyReason();
+            if (reason) throw new Error(reason);
+        }
+
+        Object.assign(profile, {
+            name: changes.name !== undefined ? this.normalizeName(changes.name, id) : profile.name,
+            client: changes.client !== undefined ? this.normalizeClient(changes.client) : profile.client,
+            channel: changes.channel !== undefined ? this.normalizeChannel(changes.channel) : profile.channel,
+            launchArgs: changes.launchArgs !== undefined ? String(changes.launchArgs).trim() : profile.launchArgs
+        });
+
+        this.launcherConfig.set('profiles', this.getProfiles());
+        this.emit('changed');
+        return profile;
+    }
+
+    remove(id) {
+        const profile = this.findProfile(id);
+        if (id === this.getActiveId()) {
+            throw new Error('Switch to another profile before deleting this one.');
+        }
+
+        this.launcherConfig.set('profiles', this.getProfiles().filter(p => p.id !== id));
+        logger.info(`Deleted profile "${profile.name}". Game files at ${profile.gamePath || '(none)'} were kept.`);
+        this.emit('changed');
+    }
+
+    async switchTo(id) {
+        const profile = this.findProfile(id);
+        if (id === this.getActiveId()) return profile;
+
+        const reason = this.getBusyReason();
+        if (reason) {
+            throw new Error(reason);
+        }
+
+        this.launcherConfig.set('activeProfileId', id);
+        await this.launcherConfig.save();
+
+        logger.info(`Switched to profile "${profile.name}" (${profile.gamePath || 'not installed'})`);
+        this.emit('changed');
+        this.emit('switched', profile);
+        return profile;
+    }
+}
+
+const profileManager = new ProfileManager();
+
+function setupProfileIPC(ipcMain) {
+    const handlers = {
+        'get-profiles': () => ({
+            profiles: profileManager.list()
+        }),
+        'create-profile': (event, fields) => ({
+            profile: profileManager.create(fields)
+        }),
+        'update-profile': (event, id, changes) => ({
+            profile: profileManager.update(id, changes)
+        }),
+        'delete-profile': (event, id) => profileManager.remove(id),
+        'switch-profile': async (event, id) => ({
+            profile: await profileManager.switchTo(id)
+        })
+    };
+
+    Object.entries(handlers).forEach(([channel, handler]) => {
+        ipcMain.handle(channel, async (...args) => {
+            try {
+                return CoreUtils.createStandardResponse(true, await handler(...args));
+            } catch (error) {
+                logger.error(`Profile request '${channel}' failed:`, error.message);
+                return CoreUtils.createStandardResponse(false, null, error.message);
+            }
+        });
+    });
+}
+
+module.exports = {
+    PROFILE_KEYS,
+    createProfile,
+    ProfileManager,
+    profileManager,
+    setupProfileIPC
+};
@@ -0,0 +1,431 @@
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const tls = require('tls');
+const { safeStorage } = require('electron');
+
+const { CONSTANTS } = require('./core');
+const { logger } = require('./logger');
+
+const PROXY_MODES = Object.freeze({
+    SYSTEM: 'system',
+    NONE: 'none',
+    HTTP: 'http',
+    SOCKS5: 'socks5'
+});
+
+const DEFAULT_PORTS = {
+    [PROXY_MODES.HTTP]: 8080,
+    [PROXY_MODES.SOCKS5]: 1080
+};
+
+const SOCKS_ERRORS = {
+    1: 'general failure',
+    2: 'connection not allowed by ruleset',
+    3: 'network unreachable',
+    4: 'host unreachable',
+    5: 'connection refused',
+    6: 'TTL expired',
+    7: 'command not supported',
+    8: 'address type not supported'
+};
+
+// Without a keyring on Linux, safeStorage falls back to a fixed key, which is
+// no better than plaintext.
+function canEncryptPasswords() {
+    if (!safeStorage.isEncryptionAvailable()) return false;
+    return process.platform !== 'linux' || safeStorage.getSelectedStorageBackend() !== 'basic_text';
+}
+
+function parseProxyUrl(value) {
+    try {
+        const url = new URL(/^[a-z0-9+.-]+:\/\//i.test(value) ? value : `http://${value}`);
+        const type = url.protocol.startsWith('socks') ? PROXY_MODES.SOCKS5 : PROXY_MODES.HTTP;
+
+        return {
+            type,
+            host: url.hostname.replace(/^\[|\]$/g, ''),
+            port: parseInt(url.port, 10) || DEFAULT_PORTS[type],
+            username: decodeURIComponent(url.username),
+            password: decodeURIComponent(url.password)
+        };
+    } catch {
+        return null;
+    }
+}
+
+// Buffers socket data so the SOCKS handshake can read exact byte counts.
+class SocketReader {
+    constructor(socket) {
+        this.socket = socket;
+        this.buffer = Buffer.alloc(0);
+        this.waiter = null;
+        this.error = null;
+
+        this.onData = (chunk) => {
+            this.buffer = Buffer.concat([this.buffer, chunk]);
+            this.check();
+        };
+        this.onClose = (error) => {
+            this.error = error instanceof Error ? error : new Error('Proxy closed the connection');
+            this.check();
+        };
+
+        socket.on('data', this.onData);
+        socket.on('error', this.onClose);
+        socket.on('close', this.onClose);
+    }
+
+    read(length) {
+        return new Promise((resolve, reject) => {
+            this.waiter = { length, resolve, reject };
+            this.check();
+        });
+    }
+
+    check() {
+        const waiter = this.waiter;
+        if (!waiter) return;
+
+        if (this.buffer.length >= waiter.length) {
+            this.waiter = null;
+            const data = this.buffer.subarray(0, waiter.length);
+            this.buffer = this.buffer.subarray(waiter.length);
+            waiter.resolve(data);
+        } else if (this.error) {
+            this.waiter = null;
+            waiter.reject(this.error);
+        }
+    }
+
+    release() {
+        this.socket.off('data', this.onData);
+        this.socket.off('error', this.onClose);
+        this.socket.off('close', this.onClose);
+        if (this.buffer.length > 0) this.socket.unshift(this.buffer);
+        return this.socket;
+    }
+}
+
+function connectThroughHttpProxy(proxy, host, port) {
+    return new Promise((resolve, reject) => {
+        const headers = {
+            Host: `${host}:${port}`
+        };
+        if (proxy.username) {
+            headers['Proxy-Authorization'] = `Basic ${Buffer.from(`${proxy.username}:${proxy.password || ''}`).toString('base64')}`;
+        }
+
+        const request = http.request({
+            host: proxy.host,
+            port: proxy.port,
+            method: 'CONNECT',
+            path: `${host}:${port}`,
+            headers,
+            agent: false
+        });
+
+        request.once('connect', (res, socket) => {
+            request.setTimeout(0);
+            if (res.statusCode !== 200) {
+                socket.destroy();
+                return reject(new Error(`Proxy refused tunnel to ${host}:${port} (HTTP ${res.statusCode})`));
+            }
+            resolve(socket);
+        });
+
+        request.on('error', error => reject(new Error(`Proxy connection failed: ${error.message}`)));
+        request.setTimeout(CONSTANTS.HTTP_TIMEOUT, () => {
+            request.destroy(new Error(`Proxy connection timeout: ${proxy.host}:${proxy.port}`));
+        });
+        request.end();
+    });
+}
+
+async function connectThroughSocksProxy(proxy, host, port) {
+    const socket = net.connect(proxy.port, proxy.host);
+    socket.setTimeout(CONSTANTS.HTTP_TIMEOUT, () => {
+        socket.destroy(new Error(`Proxy connection timeout: ${proxy.host}:${proxy.port}`));
+    });
+
+    const reader = new SocketReader(socket);
+
+    try {
+        const methods = proxy.username ? [0x00, 0x02] : [0x00];
+        socket.write(Buffer.from([0x05, methods.length, ...methods]));
+
+        const [, method] = await reader.read(2);
+        if (method === 0x02) {
+            const username = Buffer.from(proxy.username || '');
+            const password = Buffer.from(proxy.password || '');
+            socket.write(Buffer.concat([
+                Buffer.from([0x01, username.length]), username,
+                Buffer.from([password.length]), password
+            ]));
+
+            const [, status] = await reader.read(2);
+            if (status !== 0x00) throw new Error('SOCKS proxy rejected the username or password');
+        } else if (method !== 0x00) {
+            throw new Error('SOCKS proxy requires an unsupported authentication method');
+        }
+
+        // Hostnames are sent as-is so the proxy resolves them.
+        let address;
+        if (net.isIPv4(host)) {
+            address = Buffer.from([0x01, ...host.split('.').map(Number)]);
+        } else if (net.isIPv6(host)) {
+            address = Buffer.concat([Buffer.from([0x04]), ipv6ToBuffer(host)]);
+        } else {
+            const name = Buffer.from(host);
+            address = Buffer.concat([Buffer.from([0x03, name.length]), name]);
+        }
+
+        const portBuffer = Buffer.alloc(2);
+        portBuffer.writeUInt16BE(port);
+        socket.write(Buffer.concat([Buffer.from([0x05, 0x01, 0x00]), address, portBuffer]));
+
+        const [, reply, , addressType] = await reader.read(4);
+        if (reply !== 0x00) {
+            throw new Error(`SOCKS proxy could not connect to ${host}:${port}: ${SOCKS_ERRORS[reply] || `error ${reply}`}`);
+        }
+
+        const addressLength = addressType === 0x01 ? 4 :
+            addressType === 0x04 ? 16 :
+            (await reader.read(1))[0];
+        await reader.read(addressLength + 2);
+
+        socket.setTimeout(0);
+        return reader.release();
+    } catch (error) {
+        reader.release();
+        socket.destroy();
+        throw error.message.startsWith('SOCKS') ? error : new Error(`SOCKS proxy connection failed: ${error.message}`);
+    }
+}
+
+function ipv6ToBuffer(address) {
+    const [head, tail = ''] = address.split('::');
+    const headGroups = head ? head.split(':') : [];
+    const tailGroups = tail ? tail.split(':') : [];
+    const missing = address.includes('::') ? 8 - headGroups.length - tailGroups.length : 0;
+    const groups = [...headGroups, ...Array(missing).fill('0'), ...tailGroups];
+
+    const buffer = Buffer.alloc(16);
+    groups.forEach((group, index) => buffer.writeUInt16BE(parseInt(group, 16) || 0, index * 2));
+    return buffer;
+}
+
+function openTunnel(proxy, host, port) {
+    return proxy.type === PROXY_MODES.SOCKS5 ?
+        connectThroughSocksProxy(proxy, host, port) :
+        connectThroughHttpProxy(proxy, host, port);
+}
+
+// Both agents tunnel through the proxy; plain HTTP targets use CONNECT too so
+// request paths stay unchanged.
+class HttpProxyAgent extends http.Agent {
+    constructor(proxy) {
+        super({ keepAlive: true });
+        this.proxy = proxy;
+    }
+
+    createConnection(options, callback) {
+        openTunnel(this.proxy, options.host, parseInt(options.port, 10) || 80)
+            .then(socket => callback(null, socket), callback);
+    }
+}
+
+class HttpsProxyAgent extends https.Agent {
+    constructor(proxy) {
+        super({ keepAlive: true });
+        this.proxy = proxy;
+    }
+
+    createConnection(options, callback) {
+        openTunnel(this.proxy, options.host, parseInt(options.port, 10) || 443)
+            .then(socket => callback(null, tls.connect({
+                ...options,
+                socket,
+                servername: options.servername || options.host
+            })), callback);
+    }
+}
+
+class ProxyManager {
+    constructor() {
+        this.launcherConfig = null;
+        this.agents = new Map();
+        this.invalidEnvWarned = false;
+        this.sessionPassword = '';
+        this.decrypted = null;
+    }
+
+    useConfig(launcherConfig) {
+        this.launcherConfig = launcherConfig;
+        this.migratePlaintextPassword();
+    }
+
+    // Older configs kept the proxy password in plaintext.
+    migratePlaintextPassword() {
+        const { password, ...settings } = this.getSettings();
+        if (password === undefined) return;
+
+        this.launcherConfig.set('network', {
+            ...this.launcherConfig.get('network'),
+            proxy: {
+                ...settings,
+                ...this.protectPassword(password)
+            }
+        });
+        if (password) {
+            logger.info('Removed the plaintext proxy password from the config file.');
+        }
+    }
+
+    // Returns the fields saved in place of the password. When the system
+    // cannot encrypt it, the password only lasts until the launcher closes.
+    protectPassword(password) {
+        this.sessionPassword = '';
+        if (!password) {
+            return { encryptedPassword: '' };
+        }
+
+        if (canEncryptPasswords()) {
+            return { encryptedPassword: safeStorage.encryptString(password).toString('base64') };
+        }
+
+        logger.warn('Secure storage is not available, the proxy password will not be saved and must be entered again after a restart.');
+        this.sessionPassword = password;
+        return { encryptedPassword: '' };
+    }
+
+    getPassword() {
+        const { encryptedPassword } = this.getSettings();
+        if (!encryptedPassword) return this.sessionPassword;
+
+        if (this.decrypted?.encryptedPassword !== encryptedPassword) {
+            let password = '';
+            try {
+                password = safeStorage.decryptString(Buffer.from(encryptedPassword, 'base64'));
+            } catch (error) {
+                logger.warn('Could not decrypt the saved proxy password:', error.message);
+            }
+            this.decrypted = { encryptedPassword, password };
+        }
+        return this.decrypted.password;
+    }
+
+    getSettings() {
+        return this.launcherConfig?.get('network')?.proxy || {};
+    }
+
+    getEnvProxy() {
+        const env = process.env;
+        const value = env.HTTPS_PROXY || env.https_proxy || env.ALL_PROXY || env.all_proxy || env.HTTP_PROXY || env.http_proxy;
+        if (!value) return null;
+
+        const proxy = parseProxyUrl(value);
+        if (!proxy && !this.invalidEnvWarned) {
+            this.invalidEnvWarned = true;
+            logger.warn(`Ignoring invalid proxy environment variable: ${value}`);
+        }
+        return proxy;
+    }
+
+    getProxy() {
+        const settings = this.getSettings();
+        const mode = settings.mode || PROXY_MODES.SYSTEM;
+        const noProxy = [settings.noProxy, process.env.NO_PROXY || process.env.no_proxy]
+            .filter(Boolean)
+            .join(',');
+
+        if (mode === PROXY_MODES.NONE) return null;
+
+        if (mode === PROXY_MODES.HTTP || mode === PROXY_MODES.SOCKS5) {
+            if (!settings.host) return null;
+            return {
+                type: mode,
+                host: settings.host,
+                port: parseInt(settings.port, 10) || DEFAULT_PORTS[mode],
+                username: settings.username || '',
+                password: this.getPassword(),
+                noProxy
+            };
+        }
+
+        const envProxy = this.getEnvProxy();
+        return envProxy ? { ...envProxy, noProxy } : null;
+    }
+
+    // Follows the common NO_PROXY format: "*", "example.com", ".example.com",
+    // "*.example.com" and "host:port" entries separated by commas or spaces.
+    shouldBypass(hostname, port, noProxy) {
+        const host = hostname.toLowerCase().replace(/^\[|\]$/g, '');
+
+        return String(noProxy || '')
+            .split(/[\s,]+/)
+            .filter(Boolean)
+            .some(entry => {
+                if (entry === '*') return true;
+
+                const [, entryHost, entryPort] = /^(.*?)(?::(\d+))?$/.exec(entry.toLowerCase());
+                if (entryPort && entryPort !== String(port)) return false;
+
+                const suffix = entryHost.replace(/^\*?\./, '');
+                return host === suffix || host.endsWith(`.${suffix}`);
+            });
+    }
+
+    getAgent(url) {
+        const proxy = this.getProxy();
+        if (!proxy) return undefined;
+
+        const target = new URL(url);
+        const isHttps = target.protocol === 'https:';
+        const port = target.port || (isHttps ? 443 : 80);
+        if (this.shouldBypass(target.hostname, port, proxy.noProxy)) return undefined;
+
+        const key = [target.protocol, proxy.type, proxy.host, proxy.port, proxy.username, proxy.password].join('|');
+        if (!this.agents.has(key)) {
+            logger.info(`Routing ${target.protocol.slice(0, -1)} requests through ${proxy.type} proxy ${proxy.host}:${proxy.port}`);
+            this.agents.set(key, isHttps ? new HttpsProxyAgent(proxy) : new HttpProxyAgent(proxy));
+        }
+        return this.agents.get(key);
+    }
+
+    // Chromium requests (renderer assets, launcher updates) follow the session proxy.
+    async applyToSession(session) {
+        const settings = this.getSettings();
+        const mode = settings.mode || PROXY_MODES.SYSTEM;
+
+        try {
+            if (mode === PROXY_MODES.NONE) {
+                await session.setProxy({ mode: 'direct' });
+            } else if ((mode === PROXY_MODES.HTTP || mode === PROXY_MODES.SOCKS5) && settings.host) {
+                const proxy = this.getProxy();
+                await session.setProxy({
+                    mode: 'fixed_servers',
+                    proxyRules: `${mode}://${proxy.host}:${proxy.port}`,
+                    proxyBypassRules: String(settings.noProxy || '').split(/[\s,]+/).filter(Boolean).join(',')
+                });
+            } else {
+                await session.setProxy({ mode: 'system' });
+            }
+        } catch (error) {
+            logger.error('Failed to apply proxy settings to the browser session:', error);
+        }
+    }
+
+    getCredentials() {
+        const proxy = this.getProxy();
+        return proxy?.username ? { username: proxy.username, password: proxy.password } : null;
+    }
+}
+
+const proxyManager = new ProxyManager();
+
+module.exports = {
+    PROXY_MODES,
+    ProxyManager,
+    proxyManager
+};
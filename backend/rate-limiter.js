@@ -0,0 +1,93 @@
+const { logger } = require('./logger');
+
+const MAX_WAIT_SLICE = 250;
+
+function parseTime(value) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || '').trim());
+    if (!match) return null;
+
+    const hours = parseInt(match[1], 10);
+    const minutes = parseInt(match[2], 10);
+    if (hours > 23 || minutes > 59) return null;
+
+    return hours * 60 + minutes;
+}
+
+function isScheduleActive(schedule, date) {
+    const start = parseTime(schedule.start);
+    const end = parseTime(schedule.end);
+    if (start === null || end === null || start === end) return false;
+
+    const now = date.getHours() * 60 + date.getMinutes();
+
+    // Schedules such as 22:00-06:00 wrap past midnight.
+    return start < end ?
+        now >= start && now < end :
+        now >= start || now < end;
+}
+
+class RateLimiter {
+    constructor() {
+        this.launcherConfig = null;
+        this.tokens = 0;
+        this.lastRefill = Date.now();
+        this.activeLimit = 0;
+    }
+
+    useConfig(launcherConfig) {
+        this.launcherConfig = launcherConfig;
+    }
+
+    getLimit(date = new Date()) {
+        const settings = this.launcherConfig?.get('downloads') || {};
+        const schedules = Array.isArray(settings.schedules) ? settings.schedules : [];
+
+        const schedule = schedules.find(s => s && isScheduleActive(s, date));
+        const limit = schedule ? schedule.limit : settings.speedLimit;
+
+        return Math.max(0, parseInt(limit, 10) || 0);
+    }
+
+    refill(limit) {
+        const now = Date.now();
+
+        if (limit !== this.activeLimit) {
+            logger.info(limit > 0 ?
+                `Download speed limit set to ${(limit / 1024 / 1024).toFixed(2)} MB/s` :
+                'Download speed limit removed');
+            this.activeLimit = limit;
+            this.tokens = Math.min(this.tokens, limit);
+        }
+
+        const elapsed = (now - this.lastRefill) / 1000;
+        this.tokens = Math.min(limit, this.tokens + elapsed * limit);
+        this.lastRefill = now;
+    }
+
+    async consume(bytes) {
+        let limit = this.getLimit();
+        this.refill(limit);
+        if (limit === 0) return;
+
+        this.tokens -= bytes;
+
+        while (this.tokens < 0) {
+            const waitMs = Math.min(MAX_WAIT_SLICE, Math.ceil((-this.tokens / limit) * 1000));
+            await new Promise(resolve => setTimeout(resolve, waitMs));
+
+            limit = this.getLimit();
+            this.refill(limit);
+            if (limit === 0) {
+                this.tokens = 0;
+                return;
+            }
+        }
+    }
+}
+
+const rateLimiter = new RateLimiter();
+
+module.exports = {
+    RateLimiter,
+    rateLimiter
+};
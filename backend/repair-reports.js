@@ -0,0 +1,337 @@
+const { promises: fs } = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { app, dialog } = require('electron');
+
+const { CONSTANTS, DURATION_FORMATS, CoreUtils } = require('./core');
+const { logger } = require('./logger');
+
+const REPORTS_DIR = CoreUtils.getAppDataPath('repair-reports');
+
+// Why a file failed a check.
+const FILE_PROBLEMS = {
+    MISSING: 'missing',
+    SIZE_MISMATCH: 'size-mismatch',
+    HASH_MISMATCH: 'hash-mismatch',
+    UNREADABLE: 'unreadable'
+};
+
+const PROBLEM_LABELS = {
+    [FILE_PROBLEMS.MISSING]: 'Missing',
+    [FILE_PROBLEMS.SIZE_MISMATCH]: 'Wrong size',
+    [FILE_PROBLEMS.HASH_MISMATCH]: 'Hash mismatch',
+    [FILE_PROBLEMS.UNREADABLE]: 'Could not be read'
+};
+
+const REPORT_STATUS = {
+    COMPLETED: 'completed',
+    FAILED: 'failed',
+    CANCELLED: 'cancelled'
+};
+
+const MODE_LABELS = {
+    quick: 'Quick Check',
+    full: 'Full Check',
+    verify: 'Verification',
+    repair: 'Repair'
+};
+
+// Collects what a single check or repair found and did, so it can be saved
+// once the run ends.
+class RepairReport {
+    constructor({ mode, gamePath, channel, forceRehash = false, verifyOnly = false, scope = null }) {
+        this.data = {
+            id: `${Date.now()}-${crypto.randomBytes(3).toString('hex')}`,
+            mode,
+            gamePath,
+            channel,
+            forceRehash,
+            verifyOnly,
+            scope,
+            launcherVersion: app.getVersion(),
+            platform: `${process.platform} ${process.arch}`,
+            status: null,
+            error: null,
+            startedAt: Date.now(),
+            finishedAt: null,
+            indexSource: null,
+            totalFiles: 0,
+            totalBytes: 0,
+            problems: Object.fromEntries(Object.values(FILE_PROBLEMS).map(problem => [problem, []])),
+            repairedFiles: 0,
+            bytesRedownloaded: 0,
+            failures: []
+        };
+    }
+
+    get isFinished() {
+        return this.data.finishedAt !== null;
+    }
+
+    setIndexSource(source) {
+        this.data.indexSource = source;
+    }
+
+    setResources(resources) {
+        this.data.totalFiles = resources.length;
+        this.data.totalBytes = resources.reduce((sum, r) => sum + parseInt(r.size, 10), 0);
+    }
+
+    addProblem(resource, problem) {
+        this.data.problems[problem].push({
+            path: resource.dest,
+            size: parseInt(resource.size, 10),
+            md5: resource.md5 || null
+        });
+    }
+
+    listProblems() {
+        return Object.entries(this.data.problems).flatMap(([problem, files]) =>
+            files.map(file => ({ ...file, problem }))
+        );
+    }
+
+    addFailure(filePath, error) {
+        if (this.isFinished) return;
+
+        this.data.failures.push({
+            path: filePath,
+            error: error.message,
+            reason: error.reason || null
+        });
+    }
+
+    finish(status, { repairedFiles = 0, bytesRedownloaded = 0, error = null } = {}) {
+        if (this.isFinished) return;
+
+        Object.assign(this.data, {
+            status,
+            error: error?.message || null,
+            finishedAt: Date.now(),
+            repairedFiles,
+            bytesRedownloaded
+        });
+    }
+
+    toJSON() {
+        return this.data;
+    }
+}
+
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => ({
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#39;'
+    })[char]);
+}
+
+function formatBytes(bytes) {
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+function describeIndexSource(source) {
+    if (!source) return 'Unknown';
+    return source.type === 'local' ? `Local index (${source.path})` : `Remote index (${source.url}, ${source.channel})`;
+}
+
+// Reports are kept in app data, newest first, and only the most recent
+// MAX_REPAIR_REPORTS are kept.
+class RepairReportStore {
+    constructor(reportsDir = REPORTS_DIR) {
+        this.reportsDir = reportsDir;
+    }
+
+    getReportPath(id) {
+        if (!/^[\w-]+$/.test(String(id))) {
+            throw new Error('Invalid report id.');
+        }
+        return path.join(this.reportsDir, `${id}.json`);
+    }
+
+    async save(report) {
+        const data = report.toJSON();
+        const result = await CoreUtils.writeJsonFile(this.getReportPath(data.id), data);
+        if (!result.success) {
+            logger.warn(`Failed to save repair report: ${result.error}`);
+            return null;
+        }
+
+        logger.info(`Saved ${data.mode} report ${data.id} (${data.status}).`);
+        await this.prune();
+        return RepairReportStore.summarize(data);
+    }
+
+    async listIds() {
+        try {
+            const files = await fs.readdir(this.reportsDir);
+            return files
+                .filter(file => file.endsWith('.json'))
+                .map(file => path.basename(file, '.json'))
+                .sort((a, b) => parseInt(b, 10) - parseInt(a, 10));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.warn('Failed to list repair reports:', error.message);
+            }
+            return [];
+        }
+    }
+
+    async list() {
+        const summaries = [];
+        for (const id of await this.listIds()) {
+            const data = await CoreUtils.readJsonFile(this.getReportPath(id));
+            if (data?.id) summaries.push(RepairReportStore.summarize(data));
+        }
+        return summaries;
+    }
+
+    async load(id) {
+        const data = await CoreUtils.readJsonFile(this.getReportPath(id));
+        if (!data?.id) {
+            throw new Error('This report no longer exists.');
+        }
+        return data;
+    }
+
+    async prune() {
+        const stale = (await this.listIds()).slice(CONSTANTS.MAX_REPAIR_REPORTS);
+        await Promise.all(stale.map(id => fs.unlink(this.getReportPath(id)).catch(() => {})));
+    }
+
+    async exportTo(id, format, filePath) {
+        const data = await this.load(id);
+        const content = format === 'html' ?
+            RepairReportStore.toHtml(data) :
+            JSON.stringify(data, null, 2);
+
+        await fs.writeFile(filePath, content, 'utf8');
+        logger.info(`Exported report ${id} to ${filePath}`);
+    }
+
+    static summarize(data) {
+        const problemCounts = Object.fromEntries(
+            Object.entries(data.problems).map(([problem, files]) => [problem, files.length])
+        );
+
+        return {
+            id: data.id,
+            mode: data.mode,
+            verifyOnly: Boolean(data.verifyOnly),
+            scope: data.scope || null,
+            status: data.status,
+            error: data.error,
+            startedAt: data.startedAt,
+            finishedAt: data.finishedAt,
+            totalFiles: data.totalFiles,
+            problemCounts,
+            problemCount: Object.values(problemCounts).reduce((sum, count) => sum + count, 0),
+            repairedFiles: data.repairedFiles,
+            bytesRedownloaded: data.bytesRedownloaded,
+            failureCount: data.failures.length
+        };
+    }
+
+    static toHtml(data) {
+        const rows = (cells) => `<tr>${cells.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`;
+        const table = (headers, body) => body.length === 0 ?
+            '<p class="empty">None</p>' :
+            `<table><thead><tr>${headers.map(h => `<th>${escapeHtml(h)}</th>`).join('')}</tr></thead><tbody>${body.join('')}</tbody></table>`;
+
+        const summary = [
+            ['Status', data.status],
+            ['Error', data.error || '-'],
+            ['Started', new Date(data.startedAt).toLocaleString()],
+            ['Finished', data.finishedAt ? new Date(data.finishedAt).toLocaleString() : '-'],
+            ['Duration', data.finishedAt ? CoreUtils.formatDurationMs(data.finishedAt - data.startedAt, DURATION_FORMATS.SHORT_SECONDS) : '-'],
+            ['Game folder', data.gamePath],
+            ['Channel', data.channel],
+            ['Index source', describeIndexSource(data.indexSource)],
+            ['Scope', data.scope ? data.scope.join(', ') : 'Entire game'],
+            ['Files checked', `${data.totalFiles} (${formatBytes(data.totalBytes)})`],
+            ['Files repaired', data.repairedFiles],
+            ['Redownloaded', formatBytes(data.bytesRedownloaded)],
+            ['Ignored hash cache', data.forceRehash ? 'Yes' : 'No'],
+            ['Check only', data.verifyOnly ? 'Yes' : 'No'],
+            ['Launcher', `${data.launcherVersion} on ${data.platform}`]
+        ];
+
+        const problemSections = Object.entries(data.problems).map(([problem, files]) => `
+<h2>${escapeHtml(PROBLEM_LABELS[problem] || problem)} (${files.length})</h2>
+${table(['File', 'Expected size', 'Expected MD5'], files.map(file => rows([file.path, file.size, file.md5 || '-'])))}`).join('');
+
+        return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(MODE_LABELS[data.mode] || data.mode)} report ${escapeHtml(data.id)}</title>
+<style>
+body { font-family: system-ui, sans-serif; margin: 32px; color: #1d1d1f; }
+table { border-collapse: collapse; width: 100%; margin-bottom: 16px; font-size: 13px; }
+th, td { border: 1px solid #d0d0d5; padding: 4px 8px; text-align: left; word-break: break-all; }
+th { background: #f2f2f5; }
+.empty { color: #777; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(MODE_LABELS[data.mode] || data.mode)} report</h1>
+<table><tbody>${summary.map(rows).join('')}</tbody></table>
+${problemSections}
+<h2>Failed repairs (${data.failures.length})</h2>
+${table(['File', 'Error'], data.failures.map(failure => rows([failure.path, failure.error])))}
+</body>
+</html>
+`;
+    }
+}
+
+const repairReports = new RepairReportStore();
+
+function setupRepairReportIPC(ipcMain, win) {
+    const handlers = {
+        'get-repair-reports': async () => ({
+            reports: await repairReports.list()
+        }),
+        'get-repair-report': async (event, id) => ({
+            report: await repairReports.load(id)
+        }),
+        'export-repair-report': async (event, id, format = 'json') => {
+            const extension = format === 'html' ? 'html' : 'json';
+            const { canceled, filePath } = await dialog.showSaveDialog(win, {
+                title: 'Export Report',
+                defaultPath: path.join(app.getPath('downloads'), `peebify-report-${id}.${extension}`),
+                filters: [extension === 'html' ?
+                    { name: 'Web Page', extensions: ['html'] } :
+                    { name: 'JSON', extensions: ['json'] }]
+            });
+            if (canceled || !filePath) {
+                return { cancelled: true };
+            }
+
+            await repairReports.exportTo(id, extension, filePath);
+            return { filePath };
+        }
+    };
+
+    Object.entries(handlers).forEach(([channel, handler]) => {
+        ipcMain.handle(channel, async (...args) => {
+            try {
+                return CoreUtils.createStandardResponse(true, await handler(...args));
+            } catch (error) {
+                logger.error(`Report request '${channel}' failed:`, error.message);
+                return CoreUtils.createStandardResponse(false, null, error.message);
+            }
+        });
+    });
+}
+
+module.exports = {
+    FILE_PROBLEMS,
+    REPORT_STATUS,
+    RepairReport,
+    RepairReportStore,
+    repairReports,
+    setupRepairReportIPC
+};
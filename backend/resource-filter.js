@@ -0,0 +1,98 @@
+const MAX_ENTRIES = 200;
+
+function normalizeEntry(relativePath) {
+    return relativePath.trim().replace(/\\/g, '/').replace(/^(\.?\/)+/, '').replace(/\/+$/, '');
+}
+
+function toIndexKey(relativePath) {
+    return normalizeEntry(relativePath).toLowerCase();
+}
+
+// '**' matches across folders, '*' and '?' stay within one path segment.
+// A pattern without a folder, like '*.pak', is matched against file names.
+function parseGlob(glob) {
+    const tokens = [];
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+        if (char === '*' && glob[i + 1] === '*' && glob[i + 2] === '/') {
+            tokens.push('**/');
+            i += 2;
+        } else if (char === '*' && glob[i + 1] === '*') {
+            tokens.push('**');
+            i++;
+        } else {
+            tokens.push(char);
+        }
+    }
+    return tokens;
+}
+
+// Patterns are typed by the user, so they are matched in a single pass over
+// the path per token instead of through a backtracking RegExp, which takes
+// exponential time on patterns like '*a*a*a*a*b'.
+function matchGlob(tokens, text) {
+    let current = new Array(text.length + 1).fill(false);
+    current[0] = true;
+
+    for (const token of tokens) {
+        const next = new Array(text.length + 1).fill(false);
+        let reachedBefore = false;
+        for (let i = 0; i <= text.length; i++) {
+            const previous = text[i - 1];
+            if (token === '**') {
+                next[i] = current[i] || (i > 0 && next[i - 1]);
+            } else if (token === '**/') {
+                next[i] = current[i] || (previous === '/' && reachedBefore);
+            } else if (token === '*') {
+                next[i] = current[i] || (i > 0 && previous !== '/' && next[i - 1]);
+            } else if (i > 0 && current[i - 1]) {
+                next[i] = token === '?' ? previous !== '/' : previous === token;
+            }
+            reachedBefore = reachedBefore || current[i];
+        }
+        if (!next.includes(true)) return false;
+        current = next;
+    }
+    return current[text.length];
+}
+
+// Narrows a resource index to the folders, files and glob patterns a user
+// picked, so a check only touches the part of the install they suspect.
+class ResourceFilter {
+    constructor(entries) {
+        this.entries = [...new Set((entries || []).map(entry => normalizeEntry(String(entry))).filter(Boolean))];
+        if (this.entries.length === 0) {
+            throw new Error('Enter at least one folder, file or pattern to check.');
+        }
+        if (this.entries.length > MAX_ENTRIES) {
+            throw new Error(`Enter at most ${MAX_ENTRIES} folders, files or patterns.`);
+        }
+
+        const keys = this.entries.map(entry => entry.toLowerCase());
+        this.patterns = keys.filter(key => /[*?]/.test(key)).map(key => ({
+            tokens: parseGlob(key),
+            namesOnly: !key.includes('/')
+        }));
+        this.paths = keys.filter(key => !/[*?]/.test(key));
+    }
+
+    matches(dest) {
+        const key = toIndexKey(dest);
+        return this.paths.some(p => key === p || key.startsWith(`${p}/`)) ||
+            this.patterns.some(({ tokens, namesOnly }) => matchGlob(tokens, namesOnly ? key.split('/').pop() : key));
+    }
+
+    apply(resources) {
+        const matched = resources.filter(resource => this.matches(resource.dest));
+        if (matched.length === 0) {
+            throw new Error(`No game files match ${this.entries.join(', ')}.`);
+        }
+        return matched;
+    }
+}
+
+module.exports = {
+    ResourceFilter,
+    parseGlob,
+    matchGlob
+};
@@ -0,0 +1,275 @@
+const { promises: fs, createReadStream, createWriteStream } = require('fs');
+const crypto = require('crypto');
+
+const { CONSTANTS, CoreUtils } = require('./core');
+const { logger } = require('./logger');
+const { httpClient, HttpError, AbortError } = require('./http-client');
+
+const STATE_SAVE_INTERVAL = 2000;
+
+// Splits one large file into ranged requests that are written into the same
+// .part file. Progress per segment is kept in a sidecar so an interrupted
+// download resumes every segment where it stopped.
+class SegmentedDownload {
+    constructor(downloadManager, { url, partPath, fileId, fileSize }) {
+        this.manager = downloadManager;
+        this.url = url;
+        this.partPath = partPath;
+        this.fileId = fileId;
+        this.fileSize = fileSize;
+        this.statePath = `${partPath}${CONSTANTS.SEGMENT_STATE_EXTENSION}`;
+        this.segments = [];
+        this.rangeConfirmed = false;
+        this.wake = null;
+        this.failure = null;
+        this.abortController = new AbortController();
+        this.hash = crypto.createHash('md5');
+        this.hashedSegments = 0;
+        this.hashing = Promise.resolve();
+    }
+
+    static shouldSegment(fileSize) {
+        return fileSize >= CONSTANTS.SEGMENTED_DOWNLOAD_MIN_SIZE;
+    }
+
+    static buildSegments(fileSize) {
+        const segments = [];
+        for (let start = 0; start < fileSize; start += CONSTANTS.SEGMENT_SIZE) {
+            segments.push({
+                start,
+                end: Math.min(start + CONSTANTS.SEGMENT_SIZE, fileSize) - 1,
+                received: 0
+            });
+        }
+        return segments;
+    }
+
+    static getRemaining(segment) {
+        return segment.end - segment.start + 1 - segment.received;
+    }
+
+    async loadSegments() {
+        const partStats = await fs.stat(this.partPath).catch(() => null);
+        const saved = await CoreUtils.readJsonFile(this.statePath);
+
+        if (partStats && saved?.fileSize === this.fileSize && Array.isArray(saved.segments)) {
+            return saved.segments.map(segment => ({
+                ...segment,
+                received: Math.max(0, Math.min(segment.received, segment.end - segment.start + 1))
+            }));
+        }
+
+        const segments = SegmentedDownload.buildSegments(this.fileSize);
+
+        // A .part file without a sidecar was written sequentially by a
+        // single-connection attempt, so its bytes fill the first segments.
+        if (partStats && partStats.size <= this.fileSize) {
+            for (const segment of segments) {
+                segment.received = Math.max(0, Math.min(partStats.size - segment.start, segment.end - segment.start + 1));
+            }
+        } else if (partStats) {
+            await fs.unlink(this.partPath);
+        }
+
+        const handle = await fs.open(this.partPath, 'a');
+        await handle.close();
+        return segments;
+    }
+
+    async saveState() {
+        const segments = this.segments.map(({ start, end, received, stream, baseReceived }) => ({
+            start,
+            end,
+            received: stream ? baseReceived + stream.bytesWritten : received
+        }));
+
+        await CoreUtils.writeJsonFile(this.statePath, {
+            fileSize: this.fileSize,
+            segments
+        });
+    }
+
+    async discard() {
+        await fs.unlink(this.statePath).catch(() => {});
+        await fs.unlink(this.partPath).catch(() => {});
+    }
+
+    // Idle worker slots are lent to this file, so the tail of a download is
+    // not left running on a single connection. Only one request is made until
+    // the server has shown it honours ranges.
+    getConnectionLimit() {
+        if (!this.rangeConfirmed) return 1;
+
+        const idleWorkers = CONSTANTS.MAX_CONCURRENT_DOWNLOADS - this.manager.activeDownloads;
+        return Math.max(1, Math.min(CONSTANTS.MAX_SEGMENT_CONNECTIONS, 1 + idleWorkers));
+    }
+
+    // The file is retried as a whole, so the first failed segment stops the
+    // others instead of letting them run to the end.
+    fail(error) {
+        if (this.failure) return;
+        this.failure = error;
+        this.abortController.abort();
+    }
+
+    // MD5 can only be computed front to back, so segments that finish out of
+    // order cannot be hashed as they stream. Each segment is read back as soon
+    // as every segment before it is done, while later ones still download,
+    // which leaves little or nothing to hash once the last one arrives.
+    hashFinishedSegments() {
+        this.hashing = this.hashing.then(async () => {
+            while (this.hashedSegments < this.segments.length && !this.failure) {
+                const segment = this.segments[this.hashedSegments];
+                if (segment.stream || SegmentedDownload.getRemaining(segment) > 0) break;
+
+                await this.hashRange(segment.start, segment.end);
+                this.hashedSegments++;
+            }
+        }).catch(error => this.fail(error));
+
+        return this.hashing;
+    }
+
+    hashRange(start, end) {
+        return new Promise((resolve, reject) => {
+            createReadStream(this.partPath, {
+                    start,
+                    end,
+                    highWaterMark: CONSTANTS.STREAM_CHUNK_SIZE
+                })
+                .on('data', chunk => this.hash.update(chunk))
+                .on('end', resolve)
+                .on('error', reject);
+        });
+    }
+
+    async run() {
+        this.segments = await this.loadSegments();
+
+        const receivedBytes = this.segments.reduce((sum, s) => sum + s.received, 0);
+        this.manager.progressTracker.setFileProgress(this.fileId, receivedBytes);
+
+        const pending = this.segments.filter(s => SegmentedDownload.getRemaining(s) > 0);
+        if (receivedBytes > 0 && pending.length > 0) {
+            logger.info(`Resuming ${this.fileId} from ${receivedBytes} of ${this.fileSize} bytes across ${pending.length} segments`);
+        }
+
+        const active = new Set();
+        const userSignal = this.manager.state.abortController?.signal;
+        const onUserAbort = () => this.abortController.abort();
+        userSignal?.addEventListener('abort', onUserAbort, { once: true });
+
+        this.hashFinishedSegments();
+
+        const saveTimer = setInterval(() => this.saveState().catch(() => {}), STATE_SAVE_INTERVAL);
+        try {
+            while (!this.failure) {
+                if (userSignal?.aborted) {
+                    this.fail(new AbortError('Download aborted by user.'));
+                    break;
+                }
+
+                if (this.manager.state.isPaused && pending.length > 0) {
+                    await this.manager.waitForResume();
+                    continue;
+                }
+
+                const limit = this.getConnectionLimit();
+                while (pending.length > 0 && active.size < limit) {
+                    const task = this.downloadSegment(pending.shift())
+                        .then(() => {
+                            this.hashFinishedSegments();
+                        }, error => this.fail(error))
+                        .finally(() => active.delete(task));
+                    active.add(task);
+                }
+
+                if (active.size === 0) break;
+                await new Promise(resolve => {
+                    this.wake = resolve;
+                    Promise.race(active).then(resolve);
+                });
+            }
+
+            await Promise.all(active);
+            await this.hashFinishedSegments();
+        } finally {
+            userSignal?.removeEventListener('abort', onUserAbort);
+            clearInterval(saveTimer);
+            await this.saveState().catch(() => {});
+        }
+
+        if (this.failure) throw this.failure;
+        if (this.hashedSegments !== this.segments.length) {
+            throw new Error(`Not every segment of ${this.fileId} was downloaded`);
+        }
+
+        await fs.unlink(this.statePath).catch(() => {});
+        return this.hash.digest('hex');
+    }
+
+    async downloadSegment(segment) {
+        const from = segment.start + segment.received;
+        const manager = this.manager;
+
+        const { statusCode, headers, response } = await httpClient.request(this.url, {
+            signal: this.abortController.signal,
+            headers: {
+                Range: `bytes=${from}-${segment.end}`
+            },
+            idleTimeout: 0,
+            decompress: false
+        });
+
+        if (statusCode === 200) {
+            response.destroy();
+            const error = new Error(`Server does not support ranged requests for URL ${this.url}`);
+            error.code = 'ERANGE';
+            throw error;
+        }
+
+        if (statusCode !== 206) {
+            response.resume();
+            throw new HttpError(`HTTP ${statusCode} for ${this.url}`, { url: this.url, statusCode });
+        }
+
+        if (!manager.isExpectedContentRange(headers['content-range'], from, this.fileSize)) {
+            response.resume();
+            throw new Error(`Unexpected Content-Range "${headers['content-range']}" for URL ${this.url}`);
+        }
+
+        if (!this.rangeConfirmed) {
+            this.rangeConfirmed = true;
+            this.wake?.();
+        }
+
+        const fileStream = createWriteStream(this.partPath, {
+            flags: 'r+',
+            start: from
+        });
+        segment.baseReceived = segment.received;
+        segment.stream = fileStream;
+
+        const finish = () => {
+            segment.received = segment.baseReceived + fileStream.bytesWritten;
+            segment.stream = null;
+        };
+
+        await new Promise((resolve, reject) => {
+            manager.setupDownloadStream(response, fileStream, this.fileId, null, () => {
+                finish();
+                if (SegmentedDownload.getRemaining(segment) !== 0) {
+                    return reject(new Error(`Segment ${segment.start}-${segment.end} of ${this.fileId} ended early`));
+                }
+                resolve();
+            }, (error) => {
+                finish();
+                reject(error);
+            });
+        });
+    }
+}
+
+module.exports = {
+    SegmentedDownload
+};
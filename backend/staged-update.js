@@ -0,0 +1,181 @@
+const { promises: fs } = require('fs');
+const path = require('path');
+
+const { CONSTANTS, CoreUtils } = require('./core');
+const { logger } = require('./logger');
+
+const MANIFEST_FILE = 'manifest.json';
+
+class StagedUpdate {
+    constructor(installPath, version, stagingDir = CONSTANTS.PREDOWNLOAD_STAGING_DIR) {
+        this.installPath = installPath;
+        this.version = version;
+        this.stagingDir = stagingDir;
+        this.dir = path.join(StagedUpdate.getStagingRoot(installPath, stagingDir), String(version));
+        this.filesDir = path.join(this.dir, 'files');
+        this.backupDir = path.join(this.dir, 'backup');
+        this.manifest = null;
+        this.applied = [];
+    }
+
+    static getStagingRoot(installPath, stagingDir = CONSTANTS.PREDOWNLOAD_STAGING_DIR) {
+        return path.join(installPath, stagingDir);
+    }
+
+    static async load(installPath, stagingDir = CONSTANTS.PREDOWNLOAD_STAGING_DIR) {
+        if (!installPath) return null;
+
+        let entries;
+        try {
+            entries = await fs.readdir(this.getStagingRoot(installPath, stagingDir), { withFileTypes: true });
+        } catch {
+            return null;
+        }
+
+        for (const entry of entries) {
+            if (!entry.isDirectory()) continue;
+
+            const staged = new StagedUpdate(installPath, entry.name, stagingDir);
+            staged.manifest = await CoreUtils.readJsonFile(path.join(staged.dir, MANIFEST_FILE));
+            return staged;
+        }
+        return null;
+    }
+
+    static async discardAll(installPath, stagingDir = CONSTANTS.PREDOWNLOAD_STAGING_DIR) {
+        await fs.rm(this.getStagingRoot(installPath, stagingDir), { recursive: true, force: true }).catch(() => {});
+    }
+
+    // A crash mid-swap leaves the manifest flagged; put the replaced files back
+    // so the install returns to its previous state.
+    static async recover(installPath, stagingDir = CONSTANTS.PREDOWNLOAD_STAGING_DIR) {
+        const staged = await this.load(installPath, stagingDir);
+        if (!staged?.manifest?.swapping) return false;
+
+        for (const resource of staged.manifest.resources || []) {
+            const stagedPath = CoreUtils.normalizePath(staged.filesDir, resource.dest);
+            const targetPath = CoreUtils.normalizePath(installPath, resource.dest);
+            const backupPath = CoreUtils.normalizePath(staged.backupDir, resource.dest);
+
+            const hadOriginal = await CoreUtils.fileExists(backupPath);
+            const wasSwapped = !(await CoreUtils.fileExists(stagedPath)) && await CoreUtils.fileExists(targetPath);
+            if (hadOriginal || wasSwapped) {
+                staged.applied.push({ stagedPath, targetPath, backupPath, hadOriginal });
+            }
+        }
+
+        logger.warn(`Found an interrupted swap for Patch ${staged.version}, restoring the previous files.`);
+        await staged.rollback();
+        return true;
+    }
+
+    get isComplete() {
+        return Boolean(this.manifest?.complete);
+    }
+
+    async markComplete(resources) {
+        await this.writeManifest({
+            version: this.version,
+            complete: true,
+            stagedAt: Date.now(),
+            resources
+        });
+    }
+
+    async writeManifest(manifest) {
+        const result = await CoreUtils.writeJsonFile(path.join(this.dir, MANIFEST_FILE), manifest);
+        if (!result.success) {
+            throw new Error(`Failed to write staging manifest: ${result.error}`);
+        }
+        this.manifest = manifest;
+    }
+
+    // Swaps every staged file into the install. The replaced files are kept
+    // until commit() so the whole set can be rolled back.
+    async apply() {
+        if (!this.isComplete) {
+            throw new Error(`Staged update for ${this.version} is incomplete.`);
+        }
+
+        const resources = this.manifest.resources || [];
+
+        for (const resource of resources) {
+            const stats = await fs.stat(CoreUtils.normalizePath(this.filesDir, resource.dest)).catch(() => null);
+            if (!stats || stats.size !== parseInt(resource.size, 10)) {
+                throw new Error(`Staged file is missing or incomplete: ${resource.dest}`);
+            }
+        }
+
+        await this.writeManifest({ ...this.manifest, swapping: true });
+
+        const applied = this.applied;
+        try {
+            for (const resource of resources) {
+                const stagedPath = CoreUtils.normalizePath(this.filesDir, resource.dest);
+                const targetPath = CoreUtils.normalizePath(this.installPath, resource.dest);
+                const backupPath = CoreUtils.normalizePath(this.backupDir, resource.dest);
+
+                await CoreUtils.ensureDirectory(path.dirname(targetPath));
+                await CoreUtils.ensureDirectory(path.dirname(backupPath));
+
+                const hadOriginal = await CoreUtils.fileExists(targetPath);
+                if (hadOriginal) {
+                    await fs.rename(targetPath, backupPath);
+                }
+                applied.push({ stagedPath, targetPath, backupPath, hadOriginal });
+
+                await fs.rename(stagedPath, targetPath);
+            }
+        } catch (error) {
+            logger.error(`Applying staged update for ${this.version} failed, rolling back: ${error.message}`);
+            await this.rollback();
+            throw error;
+        }
+
+        logger.info(`Swapped ${resources.length} staged files into the install for Patch ${this.version}.`);
+        return resources.length;
+    }
+
+    async commit() {
+        this.applied = [];
+        await this.discard();
+    }
+
+    async rollback() {
+        const applied = this.applied.splice(0).reverse();
+        if (applied.length > 0) {
+            logger.warn(`Rolling back ${applied.length} files for Patch ${this.version}.`);
+        }
+
+        for (const { stagedPath, targetPath, backupPath, hadOriginal } of applied) {
+            try {
+                if (await CoreUtils.fileExists(targetPath) && !(await CoreUtils.fileExists(stagedPath))) {
+                    await fs.rename(targetPath, stagedPath);
+                }
+                if (hadOriginal) {
+                    await fs.rename(backupPath, targetPath);
+                }
+            } catch (error) {
+                logger.error(`Failed to roll back ${targetPath}: ${error.message}`);
+            }
+        }
+
+        if (this.manifest?.swapping) {
+            await this.writeManifest({ ...this.manifest, swapping: false }).catch(() => {});
+        }
+    }
+
+    async discard() {
+        await fs.rm(this.dir, { recursive: true, force: true }).catch(() => {});
+
+        const root = StagedUpdate.getStagingRoot(this.installPath, this.stagingDir);
+        const remaining = await fs.readdir(root).catch(() => null);
+        if (remaining && remaining.length === 0) {
+            await fs.rmdir(root).catch(() => {});
+        }
+    }
+}
+
+module.exports = {
+    StagedUpdate
+};
@@ -13,6 +13,9 @@ const {
 const {
     logger
 } = require('./logger');
+const {
+    profileManager
+} = require('./profile-manager');
 
 class WindowManager {
     constructor(mainWindow, launcherConfig, app, gameManager) {
@@ -96,13 +99,30 @@ class WindowManager {
     createTrayMenu() {
         const gamePath = this.launcherConfig.get('gamePath');
         const isGameRunning = this.gameManager ? this.gameManager.isGameRunning : false;
+        const profiles = profileManager.list();
+
+        const profileItems = profiles.length > 1 ? [{
+            label: 'Profile',
+            enabled: !isGameRunning,
+            submenu: profiles.map(profile => ({
+                label: profile.name,
+                type: 'radio',
+                checked: profile.isActive,
+                click: () => {
+                    profileManager.switchTo(profile.id).catch(error => {
+                        logger.error(`Failed to switch profile from tray: ${error.message}`);
+                        this.updateTrayMenu();
+                    });
+                }
+            }))
+        }] : [];
 
         return Menu.buildFromTemplate([{
             label: 'Show Launcher',
             click: () => this.showWindow()
         }, {
             type: 'separator'
-        }, {
+        }, ...profileItems, {
             label: 'Launch Game',
             click: () => {
                 if (this.gameManager) {
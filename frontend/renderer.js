@@ -9,12 +9,18 @@ const SELECTORS = {
     MINIMIZE_BTN: '#minimizeBtn',
     CLOSE_BTN: '#closeBtn',
     COMMUNITY_TOOLS_DROPDOWN: '#communityToolsDropdown',
+    PROFILE_SWITCHER_BTN: '#profileSwitcherBtn',
+    PROFILE_SWITCHER_DROPDOWN: '#profileSwitcherDropdown',
+    ACTIVE_PROFILE_NAME: '#activeProfileName',
+    PROFILES_LIST: '#profilesList',
     DOWNLOAD_PROGRESS_CONTAINER: '#downloadProgressContainer',
     DOWNLOAD_STATUS: '#downloadStatus',
     DOWNLOAD_PERCENTAGE: '#downloadPercentage',
     DOWNLOAD_FILL: '#downloadFill',
     DOWNLOAD_SPEED: '#downloadSpeed',
     DOWNLOAD_ETA: '#downloadEta',
+    DOWNLOAD_QUEUE_TOGGLE: '#downloadQueueToggle',
+    DOWNLOAD_QUEUE_PANEL: '#downloadQueuePanel',
     HOME_REPAIR_PROGRESS_CONTAINER: '#homeRepairProgressContainer',
     HOME_REPAIR_STATUS: '#homeRepairStatus',
     HOME_REPAIR_PERCENTAGE: '#homeRepairPercentage',
@@ -33,6 +39,16 @@ const SELECTORS = {
     REPAIR_TOTAL_PERCENTAGE: '#totalPercentage',
     REPAIR_CANCEL_BTN: '#cancelRepairBtn',
     REPAIR_COMPLETE_BTN: '#completeRepairBtn',
+    REPAIR_HISTORY_LIST: '#repairHistoryList',
+    REPAIR_FLOW_CONTROL: '#repairFlowControl',
+    REPAIR_SCOPE_INPUT: '#repairScopeInput',
+    REPAIR_REVIEW_PANEL: '#repairReviewPanel',
+    REPAIR_REVIEW_LIST: '#repairReviewList',
+    REPAIR_REVIEW_SUMMARY: '#repairReviewSummary',
+    REPAIR_REVIEW_SELECT_ALL: '#repairReviewSelectAll',
+    REPAIR_SKIP_BTN: '#skipRepairBtn',
+    REPAIR_SELECTED_BTN: '#repairSelectedBtn',
+    REPAIR_ALL_BTN: '#repairAllBtn',
     INSTALLATION_MODAL: '#installationModal',
     ACTION_PROMPT_MODAL: '#actionPromptModal',
     LAUNCHER_UPDATE_MODAL: '#launcherUpdateModal',
@@ -41,6 +57,21 @@ const SELECTORS = {
     WALLPAPER_PATH_DISPLAY: '#currentWallpaperPath',
     LAUNCHER_VERSION_DISPLAY: '#launcherVersionDisplay',
     START_ON_BOOT_CARD: '#startOnBootActionCard',
+    AUTO_DOWNLOAD_UPDATES_CARD: '#autoDownloadUpdatesCard',
+    SPEED_LIMIT_INPUT: '#speedLimitInput',
+    VERIFICATION_STORAGE_CONTROL: '#verificationStorageControl',
+    HASH_THREADS_INPUT: '#hashThreadsInput',
+    DOWNLOAD_SCHEDULES_LIST: '#downloadSchedulesList',
+    PROXY_MODE_CONTROL: '#proxyModeControl',
+    PROXY_HOST_INPUT: '#proxyHostInput',
+    PROXY_PORT_INPUT: '#proxyPortInput',
+    PROXY_USERNAME_INPUT: '#proxyUsernameInput',
+    PROXY_PASSWORD_INPUT: '#proxyPasswordInput',
+    PROXY_NO_PROXY_INPUT: '#proxyNoProxyInput',
+    PEER_ENABLED_CONTROL: '#peerEnabledControl',
+    PEER_PORT_INPUT: '#peerPortInput',
+    PEER_ADDRESSES_INPUT: '#peerAddressesInput',
+    GAME_INDEX_URL_INPUT: '#gameIndexUrlInput',
     PLAYTIME_DISPLAY: '#playtimeDisplay',
     PLAYTIME_TODAY: '#playtimeToday',
     PLAYTIME_WEEK: '#playtimeWeek',
@@ -72,6 +103,11 @@ const DURATION_FORMATS = {
     SHORT_SECONDS: 'short_seconds'
 };
 
+const CHANNEL_LABELS = {
+    default: 'Live',
+    predownload: 'Pre-release'
+};
+
 class LauncherUI {
     constructor() {
         this.state = {
@@ -88,6 +124,11 @@ class LauncherUI {
         };
         this.data = {
             settings: {},
+            profiles: [],
+            clients: [],
+            downloadQueue: null,
+            repairReports: [],
+            repairReview: null,
             updateInfo: null,
             lastKnownTotalPlaytime: 0,
             lastValidatedCount: 0,
@@ -100,6 +141,7 @@ class LauncherUI {
         this.timers = {
             playtimeUpdateInterval: null,
             sessionStartTime: 0,
+            downloadQueueRenderedAt: 0,
         };
         this.elements = {};
         document.addEventListener('DOMContentLoaded', () => this.init());
@@ -141,7 +183,9 @@ class LauncherUI {
             await this._loadSocialIcons();
             this._applyAppearanceSettings();
             this._loadSettingsToUI();
+            await this._loadProfiles();
             this.updateUI();
+            this._checkPendingDownload();
             console.log("✅ UI Initialized Successfully");
         } catch (error) {
             console.error("Fatal UI initialization failed:", error);
@@ -183,6 +227,19 @@ class LauncherUI {
             const actionTarget = e.target.closest('[data-action]');
             if (actionTarget) this.handleAction(actionTarget.dataset.action, actionTarget.dataset.url);
         });
+        this.elements.PROFILE_SWITCHER_DROPDOWN?.addEventListener('click', e => {
+            const option = e.target.closest('[data-profile-id]');
+            if (option) {
+                this._switchProfile(option.dataset.profileId);
+            } else if (e.target.closest('[data-manage-profiles]')) {
+                this._openProfileSettings();
+            }
+        });
+        this.elements.DOWNLOAD_QUEUE_TOGGLE?.addEventListener('click', () => this._toggleDownloadQueue());
+        this.elements.DOWNLOAD_QUEUE_PANEL?.addEventListener('click', e => {
+            const button = e.target.closest('.prioritize-file-btn');
+            if (button) this._prioritizeDownloadFile(button.dataset.path);
+        });
         this._setupIPCListeners();
         this._setupSettingsListeners();
         this._setupRepairListeners();
@@ -338,6 +395,7 @@ class LauncherUI {
         elementsToDisable.forEach(el => {
             if (el) el.classList.toggle(CLASSES.DISABLED, !gamePathSet || isBusy);
         });
+        this.elements.PROFILE_SWITCHER_BTN?.classList.toggle(CLASSES.DISABLED, isBusy || this.state.isGameRunning);
     }
 
     async _runPostLocationChangeFlow() {
@@ -499,7 +557,7 @@ class LauncherUI {
         }
     }
 
-    _startDownload(installPath = null, versionType = 'default', localVersion = null) {
+    _startDownload(installPath = null, versionType = 'default', localVersion = null, localSource = null) {
         this.elements.INSTALLATION_MODAL?.classList.remove(CLASSES.ACTIVE);
         this.state.isDownloading = true;
         this.state.isDownloadPaused = false;
@@ -508,11 +566,42 @@ class LauncherUI {
         window.api.invoke('start-download', {
             installPath,
             versionType,
-            localVersion
+            localVersion,
+            localSource
         });
     }
 
-    async _startRepair(type) {
+    _promptPredownload(predownload) {
+        if (this.data.promptedPredownloadVersion === predownload.version) return;
+        this.data.promptedPredownloadVersion = predownload.version;
+
+        const size = Number(predownload.downloadSize);
+        const sizeText = size > 0 ? `${(size / 1024 / 1024 / 1024).toFixed(2)}GB` : 'size unknown';
+        this._showActionPrompt({
+            title: `Pre-download Patch ${predownload.version}?`,
+            message: `Download the upcoming patch (${sizeText}) now. You can keep playing the current version until it goes live.`,
+            confirmText: 'Pre-download',
+            isDanger: false,
+            confirmAction: () => this._startDownload(this.data.settings.gamePath, 'predownload')
+        });
+    }
+
+    async _checkPendingDownload() {
+        const result = await window.api.invoke('get-pending-download');
+        const pending = result.success ? result.pending : null;
+        if (!pending) return;
+
+        const remainingGB = ((pending.totalBytes - pending.completedBytes) / 1024 / 1024 / 1024).toFixed(2);
+        this._showActionPrompt({
+            title: `Resume download of Patch ${pending.version}?`,
+            message: `A previous download was interrupted with ${pending.remainingFiles} file(s) (${remainingGB}GB) remaining.`,
+            confirmText: 'Resume',
+            isDanger: false,
+            confirmAction: () => this._startDownload(pending.installPath, pending.versionType || 'default')
+        });
+    }
+
+    async _startRepair(type, options = {}) {
         this.elements.REPAIR_LOG.value = '';
         this.data.lastValidatedCount = 0;
         this.state.isAwaitingRepairCompletion = false;
@@ -524,7 +613,8 @@ class LauncherUI {
         this._updateText(this.elements.REPAIR_STATUS_TEXT, 'Initializing...');
         this._updateText(this.elements.REPAIR_SUB_STATUS_TEXT, 'Please wait...');
         this.updateUI();
-        const result = await window.api.invoke(type === 'quick' ? 'start-quick-repair' : 'start-repair');
+        const verifyOnly = this.elements.REPAIR_FLOW_CONTROL?.getAttribute('data-value') === 'review';
+        const result = await window.api.invoke(type === 'quick' ? 'start-quick-repair' : 'start-repair', { ...options, verifyOnly });
         if (!result.success) {
             this._showNotification('Repair Failed', result.error, 'error');
             this.state.isRepairing = false;
@@ -535,6 +625,10 @@ class LauncherUI {
     }
 
     _finishRepairProcess() {
+        if (this.data.repairReview) {
+            window.api.invoke('discard-verified-files');
+            this._hideRepairReview();
+        }
         this.state.isRepairing = false;
         this.state.isAwaitingRepairCompletion = false;
         this.elements.REPAIR_IDLE_CONTAINER.style.display = 'flex';
@@ -565,11 +659,28 @@ class LauncherUI {
                 this.state.isUpdateAvailable = info.updateAvailable;
                 if (info.updateAvailable) {
                     this._showNotification('Update Available', `Version ${info.latestVersion} is ready to install.`);
+                } else if (info.predownload && !info.predownload.isReady) {
+                    this._promptPredownload(info.predownload);
                 }
                 this.updateUI();
             },
+            'download-low-disk-space': ({ message }) => {
+                this.state.isDownloadPaused = true;
+                this._showNotification('Low Disk Space', message, 'error');
+                this.updateUI();
+            },
+            'orphaned-files-found': (scan) => this._promptOrphanRemoval(scan),
+            'profile-switched': (profile) => this._onProfileSwitched(profile),
+            'region-assets-updated': (assets) => this._onRegionAssetsUpdated(assets),
+            'predownload-complete': ({ version }) => {
+                this._showNotification('Pre-download Complete', `Patch ${version} will be applied as soon as it goes live.`, 'success');
+            },
             'download-progress': (progress) => this.onDownloadProgress(progress),
             'repair-progress': (progress) => this.onRepairProgress(progress),
+            'repair-report-saved': (summary) => {
+                this.data.repairReports = [summary, ...this.data.repairReports.filter(r => r.id !== summary.id)];
+                this._renderRepairHistory();
+            },
             'move-progress': (progress) => {
                 if (!this.state.isMoving) {
                     this.state.isMoving = true;
@@ -630,6 +741,17 @@ class LauncherUI {
 
         if (status === 'paused') this.state.isDownloadPaused = true;
         if (isFinished) this.state.isDownloadPaused = false;
+        if (status === 'error' && progress.error) {
+            this._showNotification('Download Failed', progress.error, 'error');
+        }
+
+        // Progress arrives many times a second; redrawing the file list that
+        // often would swallow clicks on its buttons.
+        if (progress.queue) {
+            this.data.downloadQueue = progress.queue;
+            if (Date.now() - this.timers.downloadQueueRenderedAt >= 1000) this._renderDownloadQueue();
+        }
+        if (isFinished) this.data.downloadQueue = null;
 
         this._updateText(this.elements.DOWNLOAD_STATUS, progress.status);
         this._updateText(this.elements.DOWNLOAD_PERCENTAGE, `${Math.floor(progress.percentage)}%`);
@@ -647,6 +769,98 @@ class LauncherUI {
         this.updateUI();
     }
 
+    async _toggleDownloadQueue() {
+        const panel = this.elements.DOWNLOAD_QUEUE_PANEL;
+        const isOpen = panel.classList.toggle(CLASSES.ACTIVE);
+        this.elements.DOWNLOAD_QUEUE_TOGGLE.classList.toggle(CLASSES.ACTIVE, isOpen);
+        if (!isOpen) return;
+
+        const result = await window.api.invoke('get-download-queue');
+        if (result.success) this.data.downloadQueue = result.queue;
+        this._renderDownloadQueue();
+    }
+
+    async _prioritizeDownloadFile(filePath) {
+        const result = await window.api.invoke('prioritize-download-file', filePath);
+        if (!result.success) {
+            this._showNotification('Queue', result.error, 'warning');
+            return;
+        }
+        this.data.downloadQueue = result.queue;
+        this._renderDownloadQueue();
+    }
+
+    _renderDownloadQueue() {
+        const panel = this.elements.DOWNLOAD_QUEUE_PANEL;
+        if (!panel?.classList.contains(CLASSES.ACTIVE)) return;
+        this.timers.downloadQueueRenderedAt = Date.now();
+
+        const queue = this.data.downloadQueue;
+        if (!queue) {
+            panel.innerHTML = '<div class="download-queue-summary">No files are being downloaded yet.</div>';
+            return;
+        }
+
+        const { counts } = queue;
+        const running = counts.active + counts.paused;
+        panel.innerHTML = `<div class="download-queue-summary">${running} active · ${counts.queued} queued · ${counts.done} done${counts.failed ? ` · ${counts.failed} failed` : ''}</div>`;
+
+        const addSection = (title, files, render) => {
+            if (!files.length) return;
+            const heading = document.createElement('div');
+            heading.className = 'download-queue-section-title';
+            heading.textContent = title;
+            panel.appendChild(heading);
+            files.forEach(file => panel.appendChild(render(file)));
+        };
+
+        addSection('Failed', queue.failed, file => this._createQueueRow(file, `${file.retries} retries`, file.error));
+        addSection('Downloading', queue.active, file => {
+            const percentage = file.size > 0 ? Math.floor((file.bytes / file.size) * 100) : 0;
+            const retries = file.retries > 0 ? ` · retry ${file.retries}` : '';
+            const row = this._createQueueRow(file, `${file.state === 'paused' ? 'Paused · ' : ''}${percentage}%${retries}`, file.retries > 0 ? file.error : null);
+            const bar = document.createElement('div');
+            bar.className = 'progress-bar';
+            bar.innerHTML = '<div class="progress-bar-fill"></div>';
+            bar.firstElementChild.style.width = `${percentage}%`;
+            row.appendChild(bar);
+            return row;
+        });
+        addSection(counts.queued > queue.queued.length ? `Up next (${queue.queued.length} of ${counts.queued})` : 'Up next', queue.queued, file => {
+            const row = this._createQueueRow(file, this._formatSize(file.size));
+            const button = document.createElement('button');
+            button.className = 'prioritize-file-btn';
+            button.dataset.path = file.path;
+            button.title = 'Download next';
+            button.innerHTML = '<i class="fas fa-arrow-up"></i>';
+            row.querySelector('.download-queue-file-info').appendChild(button);
+            return row;
+        });
+    }
+
+    _createQueueRow(file, meta, error = null) {
+        const row = document.createElement('div');
+        row.className = `download-queue-file ${file.state}`;
+        row.innerHTML = `
+            <div class="download-queue-file-info">
+                <span class="download-queue-file-name"></span>
+                <span class="download-queue-file-meta"></span>
+            </div>`;
+        const name = row.querySelector('.download-queue-file-name');
+        name.textContent = file.path.split('/').pop();
+        name.title = file.path;
+        row.querySelector('.download-queue-file-meta').textContent = meta;
+
+        if (error) {
+            const errorLine = document.createElement('div');
+            errorLine.className = 'download-queue-file-error';
+            errorLine.textContent = error;
+            errorLine.title = error;
+            row.appendChild(errorLine);
+        }
+        return row;
+    }
+
     onRepairProgress(progress) {
         if (progress.logMessage && Object.keys(progress).length <= 2) {
             this._updateRepairLog(progress);
@@ -654,7 +868,9 @@ class LauncherUI {
         }
 
         const isFinished = ['completed', 'cancelled', 'error'].includes(progress.status.toLowerCase());
-        if (isFinished) {
+        if (progress.status.toLowerCase() === 'verified') {
+            this._showRepairReview(progress);
+        } else if (isFinished) {
             this._handleRepairCompletion(progress);
         } else {
             this.state.isRepairing = true;
@@ -724,6 +940,83 @@ class LauncherUI {
         }
     }
 
+    _showRepairReview(progress) {
+        this.state.isRepairing = false;
+        this.state.isAwaitingRepairCompletion = true;
+        this.data.repairReview = progress;
+        this._updateRepairUIData(progress);
+        this._updateText(this.elements.REPAIR_STATUS_TEXT, 'Check Complete');
+        this._updateText(this.elements.REPAIR_SUB_STATUS_TEXT, progress.message);
+        this._showNotification('Check Complete', progress.message, 'warning');
+
+        const list = this.elements.REPAIR_REVIEW_LIST;
+        list.innerHTML = '';
+        const problemNames = {
+            'missing': 'Missing',
+            'size-mismatch': 'Wrong size',
+            'hash-mismatch': 'Corrupt',
+            'unreadable': 'Unreadable'
+        };
+        progress.files.forEach(file => {
+            const row = document.createElement('label');
+            row.className = 'repair-review-file';
+            row.innerHTML = `
+                <input type="checkbox" checked>
+                <span class="repair-review-file-name"></span>
+                <span class="repair-review-file-meta"></span>`;
+            row.firstElementChild.value = file.path;
+            row.querySelector('.repair-review-file-name').textContent = file.path;
+            row.querySelector('.repair-review-file-meta').textContent = `${problemNames[file.problem] || file.problem} · ${this._formatSize(file.size)}`;
+            list.appendChild(row);
+        });
+        this.elements.REPAIR_REVIEW_SELECT_ALL.checked = true;
+        this._updateRepairReviewSummary();
+
+        this.elements.REPAIR_REVIEW_PANEL.style.display = 'block';
+        this.elements.REPAIR_CANCEL_BTN.style.display = 'none';
+        [this.elements.REPAIR_SKIP_BTN, this.elements.REPAIR_SELECTED_BTN, this.elements.REPAIR_ALL_BTN]
+            .forEach(button => button.style.display = 'inline-flex');
+    }
+
+    _hideRepairReview() {
+        this.data.repairReview = null;
+        this.elements.REPAIR_REVIEW_PANEL.style.display = 'none';
+        this.elements.REPAIR_REVIEW_LIST.innerHTML = '';
+        [this.elements.REPAIR_SKIP_BTN, this.elements.REPAIR_SELECTED_BTN, this.elements.REPAIR_ALL_BTN]
+            .forEach(button => button.style.display = 'none');
+    }
+
+    _getSelectedReviewFiles() {
+        return [...this.elements.REPAIR_REVIEW_LIST.querySelectorAll('input:checked')].map(input => input.value);
+    }
+
+    _updateRepairReviewSummary() {
+        const review = this.data.repairReview;
+        if (!review) return;
+
+        const selected = new Set(this._getSelectedReviewFiles());
+        const selectedBytes = review.files.reduce((sum, file) => sum + (selected.has(file.path) ? file.size : 0), 0);
+        this._updateText(this.elements.REPAIR_REVIEW_SUMMARY, `${selected.size} of ${review.files.length} selected · ${this._formatSize(selectedBytes)} to download`);
+        this.elements.REPAIR_SELECTED_BTN.disabled = selected.size === 0;
+        this.elements.REPAIR_REVIEW_SELECT_ALL.checked = selected.size === review.files.length;
+    }
+
+    async _repairReviewedFiles(filePaths = null) {
+        this._hideRepairReview();
+        this.state.isAwaitingRepairCompletion = false;
+        this.state.isRepairing = true;
+        this.elements.REPAIR_CANCEL_BTN.style.display = 'inline-flex';
+        this._updateText(this.elements.REPAIR_STATUS_TEXT, 'Initializing...');
+        this._updateText(this.elements.REPAIR_SUB_STATUS_TEXT, 'Please wait...');
+        this.updateUI();
+
+        const result = await window.api.invoke('repair-verified-files', filePaths);
+        if (!result.success) {
+            this._showNotification('Repair Failed', result.error, 'error');
+            this._finishRepairProcess();
+        }
+    }
+
     onLauncherUpdateAvailable(info) {
         this._showNotification('Update Available', `Launcher version ${info.version} is now available.`);
         this._showLauncherUpdateModal(info);
@@ -773,7 +1066,15 @@ class LauncherUI {
                 control.querySelectorAll('button').forEach(btn => btn.classList.remove(CLASSES.ACTIVE));
                 segmentedButton.classList.add(CLASSES.ACTIVE);
                 control.setAttribute('data-value', segmentedButton.dataset.value);
-                this._saveSettingsFromUI();
+                if (control === this.elements.PROXY_MODE_CONTROL) {
+                    this._saveProxySettingsFromUI();
+                } else if (control === this.elements.PEER_ENABLED_CONTROL) {
+                    this._savePeerSettingsFromUI();
+                } else if (control === this.elements.VERIFICATION_STORAGE_CONTROL) {
+                    this._saveVerificationSettingsFromUI();
+                } else {
+                    this._saveSettingsFromUI();
+                }
             } else if (e.target.closest('#wipeDataBtn')) {
                 this._showActionPrompt({
                     title: 'Wipe All Launcher Data?',
@@ -784,12 +1085,38 @@ class LauncherUI {
                 this._selectWallpaper();
             } else if (e.target.closest('#resetWallpaperBtn')) {
                 this._resetWallpaper();
+            } else if (e.target.closest('#addDownloadScheduleBtn')) {
+                this._addDownloadSchedule();
+            } else if (e.target.closest('.remove-schedule-btn')) {
+                e.target.closest('.download-schedule-row').remove();
+                this._saveDownloadSettingsFromUI();
+            } else if (e.target.closest('#addProfileBtn')) {
+                this._addProfile();
+            } else if (e.target.closest('.switch-profile-btn')) {
+                this._switchProfile(e.target.closest('.profile-row').dataset.profileId);
+            } else if (e.target.closest('.remove-profile-btn')) {
+                this._promptProfileRemoval(e.target.closest('.profile-row').dataset.profileId);
             } else if (e.target.closest('#openLogsBtn')) {
                 window.api.invoke('open-logs-folder');
             } else if (e.target.closest('#checkLauncherUpdateBtn')) {
                 window.api.invoke('check-for-launcher-update');
             }
         });
+        this.elements.SETTINGS_VIEW.addEventListener('change', e => {
+            if (e.target.closest('#speedLimitInput, .download-schedule-row')) {
+                this._saveDownloadSettingsFromUI();
+            } else if (e.target.closest('#verificationSettings')) {
+                this._saveVerificationSettingsFromUI();
+            } else if (e.target.closest('#proxySettings')) {
+                this._saveProxySettingsFromUI();
+            } else if (e.target.closest('#peerSettings')) {
+                this._savePeerSettingsFromUI();
+            } else if (e.target.closest('#gameIndexSettings')) {
+                this._saveGameIndexUrl();
+            } else if (e.target.closest('.profile-row')) {
+                this._saveProfileFromRow(e.target.closest('.profile-row'));
+            }
+        });
         document.querySelector('[data-setting="startOnBoot"]')?.addEventListener('click', () => this._updateDependentSettings());
     }
 
@@ -810,9 +1137,366 @@ class LauncherUI {
         window.api.invoke('get-app-version').then(result => {
             if (result.success) this._updateText(this.elements.LAUNCHER_VERSION_DISPLAY, `v${result.version}`);
         });
+        this._loadDownloadSettingsToUI();
+        this._loadVerificationSettingsToUI();
+        this._loadProxySettingsToUI();
+        this._loadPeerSettingsToUI();
         this._updateDependentSettings();
     }
 
+    _loadDownloadSettingsToUI() {
+        const downloads = this.data.settings.downloads || {};
+        if (this.elements.SPEED_LIMIT_INPUT) {
+            this.elements.SPEED_LIMIT_INPUT.value = this._bytesToMegabytes(downloads.speedLimit);
+        }
+        if (this.elements.DOWNLOAD_SCHEDULES_LIST) {
+            this.elements.DOWNLOAD_SCHEDULES_LIST.innerHTML = '';
+            (downloads.schedules || []).forEach(schedule => this._appendDownloadScheduleRow(schedule));
+        }
+    }
+
+    _appendDownloadScheduleRow({ start = '18:00', end = '23:00', limit = 0 } = {}) {
+        const row = document.createElement('div');
+        row.className = 'setting-card sub-setting download-schedule-row';
+        row.innerHTML = `
+            <div class="setting-card-content">
+                <h5>Schedule</h5>
+                <p>Start, end and limit in MB/s (0 = unlimited).</p>
+            </div>
+            <div class="setting-card-control">
+                <input type="time" class="settings-input" data-field="start">
+                <input type="time" class="settings-input" data-field="end">
+                <input type="number" class="settings-input" data-field="limit" min="0" step="0.5">
+                <button class="settings-button danger remove-schedule-btn" title="Remove"><i class="fas fa-times"></i></button>
+            </div>`;
+        row.querySelector('[data-field="start"]').value = start;
+        row.querySelector('[data-field="end"]').value = end;
+        row.querySelector('[data-field="limit"]').value = this._bytesToMegabytes(limit);
+        this.elements.DOWNLOAD_SCHEDULES_LIST.appendChild(row);
+    }
+
+    _addDownloadSchedule() {
+        this._appendDownloadScheduleRow({ limit: 2 * 1024 * 1024 });
+        this._saveDownloadSettingsFromUI();
+    }
+
+    async _saveDownloadSettingsFromUI() {
+        const schedules = [...this.elements.DOWNLOAD_SCHEDULES_LIST.querySelectorAll('.download-schedule-row')]
+            .map(row => ({
+                start: row.querySelector('[data-field="start"]').value,
+                end: row.querySelector('[data-field="end"]').value,
+                limit: this._megabytesToBytes(row.querySelector('[data-field="limit"]').value)
+            }))
+            .filter(schedule => schedule.start && schedule.end);
+        const downloads = {
+            speedLimit: this._megabytesToBytes(this.elements.SPEED_LIMIT_INPUT.value),
+            schedules
+        };
+        const result = await window.api.invoke('save-download-settings', downloads);
+        if (result.success) {
+            this.data.settings.downloads = downloads;
+        } else {
+            this._showNotification('Save Failed', result.error, 'error');
+        }
+    }
+
+    _loadVerificationSettingsToUI() {
+        const verification = this.data.settings.verification || {};
+        const storage = verification.storage || 'ssd';
+        const control = this.elements.VERIFICATION_STORAGE_CONTROL;
+        if (!control) return;
+
+        control.setAttribute('data-value', storage);
+        control.querySelectorAll('button').forEach(btn => {
+            btn.classList.toggle(CLASSES.ACTIVE, btn.dataset.value === storage);
+        });
+        this.elements.HASH_THREADS_INPUT.value = verification.threads || 0;
+    }
+
+    async _saveVerificationSettingsFromUI() {
+        const verification = {
+            storage: this.elements.VERIFICATION_STORAGE_CONTROL.getAttribute('data-value'),
+            threads: Math.max(0, parseInt(this.elements.HASH_THREADS_INPUT.value, 10) || 0)
+        };
+        const result = await window.api.invoke('save-verification-settings', verification);
+        if (result.success) {
+            this.data.settings.verification = verification;
+        } else {
+            this._showNotification('Save Failed', result.error, 'error');
+        }
+    }
+
+    _loadProxySettingsToUI() {
+        const proxy = this.data.settings.network?.proxy || {};
+        const mode = proxy.mode || 'system';
+        const control = this.elements.PROXY_MODE_CONTROL;
+        if (!control) return;
+
+        control.setAttribute('data-value', mode);
+        control.querySelectorAll('button').forEach(btn => {
+            btn.classList.toggle(CLASSES.ACTIVE, btn.dataset.value === mode);
+        });
+        this.elements.PROXY_HOST_INPUT.value = proxy.host || '';
+        this.elements.PROXY_PORT_INPUT.value = proxy.port || '';
+        this.elements.PROXY_USERNAME_INPUT.value = proxy.username || '';
+        this.elements.PROXY_PASSWORD_INPUT.value = proxy.password || '';
+        this.elements.PROXY_NO_PROXY_INPUT.value = proxy.noProxy || '';
+    }
+
+    async _saveProxySettingsFromUI() {
+        const proxy = {
+            mode: this.elements.PROXY_MODE_CONTROL.getAttribute('data-value'),
+            host: this.elements.PROXY_HOST_INPUT.value.trim(),
+            port: this.elements.PROXY_PORT_INPUT.value,
+            username: this.elements.PROXY_USERNAME_INPUT.value,
+            password: this.elements.PROXY_PASSWORD_INPUT.value,
+            noProxy: this.elements.PROXY_NO_PROXY_INPUT.value.trim()
+        };
+        const result = await window.api.invoke('save-proxy-settings', proxy);
+        if (result.success) {
+            this.data.settings.network = { ...this.data.settings.network, proxy };
+            this._updateDependentSettings();
+        } else {
+            this._showNotification('Save Failed', result.error, 'error');
+        }
+    }
+
+    _loadPeerSettingsToUI() {
+        const peers = this.data.settings.network?.peers || {};
+        const enabled = String(Boolean(peers.enabled));
+        const control = this.elements.PEER_ENABLED_CONTROL;
+        if (!control) return;
+
+        control.setAttribute('data-value', enabled);
+        control.querySelectorAll('button').forEach(btn => {
+            btn.classList.toggle(CLASSES.ACTIVE, btn.dataset.value === enabled);
+        });
+        this.elements.PEER_PORT_INPUT.value = peers.port || '';
+        this.elements.PEER_ADDRESSES_INPUT.value = peers.addresses || '';
+    }
+
+    async _savePeerSettingsFromUI() {
+        const peers = {
+            enabled: this.elements.PEER_ENABLED_CONTROL.getAttribute('data-value') === 'true',
+            port: this.elements.PEER_PORT_INPUT.value,
+            addresses: this.elements.PEER_ADDRESSES_INPUT.value.trim()
+        };
+        const result = await window.api.invoke('save-peer-settings', peers);
+        if (result.success) {
+            this.data.settings.network = { ...this.data.settings.network, peers };
+            this._updateDependentSettings();
+            if (peers.enabled && !result.sharing) {
+                this._showNotification('LAN Sharing', 'Could not share files on this port. Downloads still use other launchers.', 'warning');
+            }
+        } else {
+            this._showNotification('Save Failed', result.error, 'error');
+        }
+    }
+
+    async _loadProfiles() {
+        const [result, clientsResult] = await Promise.all([
+            window.api.invoke('get-profiles'),
+            window.api.invoke('get-api-clients')
+        ]);
+        if (clientsResult.success) {
+            this.data.clients = clientsResult.clients;
+            const activeClient = clientsResult.clients.find(client => client.id === clientsResult.activeClient);
+            const input = this.elements.GAME_INDEX_URL_INPUT;
+            if (input) {
+                input.value = clientsResult.customGameIndexUrl || '';
+                input.placeholder = activeClient?.defaultGameIndexUrl || 'Default';
+            }
+        }
+        if (!result.success) return;
+        this.data.profiles = result.profiles;
+        this._renderProfileSwitcher();
+        this._renderProfilesList();
+    }
+
+    async _saveGameIndexUrl() {
+        const result = await window.api.invoke('save-game-index-url', this.elements.GAME_INDEX_URL_INPUT.value);
+        if (!result.success) {
+            this._showNotification('Save Failed', result.error, 'error');
+            return;
+        }
+        this.elements.GAME_INDEX_URL_INPUT.value = result.gameIndexUrl || '';
+        this.data.updateInfo = null;
+        this.state.isUpdateAvailable = false;
+        this.updateUI();
+        if (this.data.settings.gamePath) window.api.invoke('check-for-updates', true);
+    }
+
+    _renderProfileSwitcher() {
+        const dropdown = this.elements.PROFILE_SWITCHER_DROPDOWN;
+        if (!dropdown) return;
+        const active = this.data.profiles.find(profile => profile.isActive);
+        this._updateText(this.elements.ACTIVE_PROFILE_NAME, active?.name || 'Profile');
+
+        dropdown.innerHTML = '<div class="dropdown-section"><div class="dropdown-section-title">Profiles</div></div>';
+        const section = dropdown.querySelector('.dropdown-section');
+        this.data.profiles.forEach(profile => {
+            const option = document.createElement('div');
+            option.className = 'dropdown-option';
+            option.dataset.profileId = profile.id;
+            option.innerHTML = `<i class="fas ${profile.isActive ? 'fa-check' : 'fa-layer-group'}"></i><span></span>`;
+            option.querySelector('span').textContent = profile.name;
+            section.appendChild(option);
+        });
+
+        const manage = document.createElement('div');
+        manage.className = 'dropdown-section';
+        manage.innerHTML = '<div class="dropdown-option" data-manage-profiles><i class="fas fa-cog"></i><span>Manage Profiles</span></div>';
+        dropdown.appendChild(manage);
+    }
+
+    _renderProfilesList() {
+        const list = this.elements.PROFILES_LIST;
+        if (!list) return;
+        list.innerHTML = '';
+        this.data.profiles.forEach(profile => {
+            const row = document.createElement('div');
+            row.className = 'setting-card sub-setting profile-row';
+            row.dataset.profileId = profile.id;
+            row.innerHTML = `
+                <div class="setting-card-content">
+                    <h5></h5>
+                    <p></p>
+                </div>
+                <div class="setting-card-control">
+                    <input type="text" class="settings-input" data-field="name" maxlength="40" placeholder="Name">
+                    <select class="settings-input" data-field="client" title="Region"></select>
+                    <select class="settings-input" data-field="channel">
+                        ${Object.entries(CHANNEL_LABELS).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+                    </select>
+                    <input type="text" class="settings-input" data-field="launchArgs" placeholder="Launch options">
+                    ${profile.isActive ? '' : `
+                    <button class="settings-button switch-profile-btn" title="Switch to this profile"><i class="fas fa-exchange-alt"></i></button>
+                    <button class="settings-button danger remove-profile-btn" title="Delete profile"><i class="fas fa-times"></i></button>`}
+                </div>`;
+            row.querySelector('h5').textContent = profile.isActive ? `${profile.name} (Active)` : profile.name;
+            row.querySelector('p').textContent = `${profile.gamePath || 'Not installed'} · ${this._formatDuration(profile.totalPlaytime)} played`;
+            row.querySelector('[data-field="name"]').value = profile.name;
+            const clientSelect = row.querySelector('[data-field="client"]');
+            this.data.clients.forEach(client => {
+                const option = document.createElement('option');
+                option.value = client.id;
+                option.textContent = client.name;
+                clientSelect.appendChild(option);
+            });
+            clientSelect.value = profile.client;
+            row.querySelector('[data-field="channel"]').value = profile.channel;
+            row.querySelector('[data-field="launchArgs"]').value = profile.launchArgs || '';
+            list.appendChild(row);
+        });
+    }
+
+    async _addProfile() {
+        const names = new Set(this.data.profiles.map(profile => profile.name.toLowerCase()));
+        let index = this.data.profiles.length + 1;
+        while (names.has(`profile ${index}`)) index++;
+
+        const result = await window.api.invoke('create-profile', { name: `Profile ${index}` });
+        if (!result.success) {
+            this._showNotification('Profile Not Created', result.error, 'error');
+            return;
+        }
+        await this._loadProfiles();
+    }
+
+    async _saveProfileFromRow(row) {
+        const id = row.dataset.profileId;
+        const previous = this.data.profiles.find(profile => profile.id === id);
+        const changes = {
+            name: row.querySelector('[data-field="name"]').value,
+            client: row.querySelector('[data-field="client"]').value,
+            channel: row.querySelector('[data-field="channel"]').value,
+            launchArgs: row.querySelector('[data-field="launchArgs"]').value
+        };
+
+        const result = await window.api.invoke('update-profile', id, changes);
+        if (!result.success) {
+            this._showNotification('Save Failed', result.error, 'error');
+        } else if (previous?.isActive && (previous.client !== changes.client || previous.channel !== changes.channel)) {
+            await this._onProfileSwitched(result.profile, false);
+            return;
+        }
+        await this._loadProfiles();
+    }
+
+    _promptProfileRemoval(id) {
+        const profile = this.data.profiles.find(p => p.id === id);
+        if (!profile) return;
+        this._showActionPrompt({
+            title: `Delete Profile "${profile.name}"?`,
+            message: 'The profile and its playtime history are removed. Game files on disk are kept; uninstall them first if you no longer need them.',
+            confirmText: 'Delete',
+            confirmAction: async () => {
+                const result = await window.api.invoke('delete-profile', id);
+                if (!result.success) this._showNotification('Delete Failed', result.error, 'error');
+                await this._loadProfiles();
+            }
+        });
+    }
+
+    async _switchProfile(id) {
+        if (this.data.profiles.find(profile => profile.id === id)?.isActive) return;
+        if (this.state.isDownloading || this.state.isRepairing || this.state.isVerifying || this.state.isPreparingDownload || this.state.isMoving || this.state.isUninstalling || this.state.isGameRunning) {
+            this._showNotification('Busy', 'Finish the current operation and close the game before switching profiles.');
+            return;
+        }
+        const result = await window.api.invoke('switch-profile', id);
+        if (!result.success) this._showNotification('Switch Failed', result.error, 'error');
+    }
+
+    async _onProfileSwitched(profile, notify = true) {
+        if (this.data.repairReview) this._finishRepairProcess();
+        this.data.settings = await window.api.invoke('get-launcher-settings');
+        this.data.updateInfo = null;
+        this.state.isUpdateAvailable = false;
+        await this._loadProfiles();
+        this.updateUI();
+        if (notify) this._showNotification('Profile Switched', `Now using "${profile.name}".`);
+        if (this.data.settings.gamePath) window.api.invoke('check-for-updates');
+    }
+
+    async _onRegionAssetsUpdated({ backgroundVideo, updateImage }) {
+        const version = Date.now();
+        this.data.remoteAssets = {
+            ...this.data.remoteAssets,
+            backgroundVideo,
+            updateImage,
+            fromCache: true,
+            version
+        };
+
+        const image = this.elements.UPDATE_TITLE_IMAGE;
+        if (image && updateImage) {
+            image.style.display = '';
+            image.src = `local-resource:///${updateImage.replace(/\\/g, '/')}?v=${version}`;
+        }
+        this._applyWallpaper();
+        await this._loadNewsContent();
+    }
+
+    _openProfileSettings() {
+        const navItem = document.querySelector('.sidebar .nav-item[data-view="appSettingsView"]');
+        if (navItem) this._switchView(navItem);
+        this.elements.SETTINGS_VIEW.querySelector('.settings-nav-item[data-category="profiles"]')?.click();
+    }
+
+    _formatSize(bytes) {
+        const gigabytes = (bytes || 0) / 1024 / 1024 / 1024;
+        return gigabytes >= 1 ? `${gigabytes.toFixed(2)}GB` : `${this._bytesToMegabytes(bytes)}MB`;
+    }
+
+    _bytesToMegabytes(bytes) {
+        return Math.round(((bytes || 0) / 1024 / 1024) * 100) / 100;
+    }
+
+    _megabytesToBytes(megabytes) {
+        return Math.max(0, Math.round((parseFloat(megabytes) || 0) * 1024 * 1024));
+    }
+
     async _saveSettingsFromUI() {
         const behavior = {};
         document.querySelectorAll('.segmented-control[data-setting]').forEach(el => {
@@ -880,6 +1564,7 @@ class LauncherUI {
         } else if (this.data.remoteAssets?.backgroundVideo) {
             if (this.data.remoteAssets.fromCache || this.data.remoteAssets.backgroundVideo.includes('\\') || this.data.remoteAssets.backgroundVideo.includes('C:')) {
                 newWallpaperSrc = `local-resource:///${this.data.remoteAssets.backgroundVideo.replace(/\\/g, '/')}`;
+                if (this.data.remoteAssets.version) newWallpaperSrc += `?v=${this.data.remoteAssets.version}`;
             } else {
                 newWallpaperSrc = this.data.remoteAssets.backgroundVideo;
             }
@@ -930,6 +1615,19 @@ class LauncherUI {
     _updateDependentSettings() {
         const startOnBootEnabled = this.data.settings.behavior?.startOnBoot;
         this.elements.START_ON_BOOT_CARD?.classList.toggle(CLASSES.DISABLED, !startOnBootEnabled);
+
+        const autoCheckEnabled = this.data.settings.behavior?.autoCheckGameUpdates !== false;
+        this.elements.AUTO_DOWNLOAD_UPDATES_CARD?.classList.toggle(CLASSES.DISABLED, !autoCheckEnabled);
+
+        const proxyMode = this.data.settings.network?.proxy?.mode;
+        document.querySelectorAll('.proxy-manual-setting').forEach(card => {
+            card.classList.toggle(CLASSES.DISABLED, proxyMode !== 'http' && proxyMode !== 'socks5');
+        });
+
+        const peersEnabled = this.data.settings.network?.peers?.enabled;
+        document.querySelectorAll('.peer-setting').forEach(card => {
+            card.classList.toggle(CLASSES.DISABLED, !peersEnabled);
+        });
     }
 
     async _selectWallpaper() {
@@ -973,11 +1671,198 @@ class LauncherUI {
         this._showNotification('Wallpaper Reset', 'Background restored to default.', 'success');
     }
 
+    async _scanOrphanedFiles() {
+        const button = document.getElementById('startOrphanScanBtn');
+        if (button) button.disabled = true;
+        try {
+            const result = await window.api.invoke('scan-orphaned-files');
+            if (!result.success) {
+                this._showNotification('Scan Failed', result.error, 'error');
+            } else if (result.count === 0) {
+                this._showNotification('No Old Files', 'The game folders only contain files the current version uses.', 'success');
+            } else {
+                this._promptOrphanRemoval(result);
+            }
+        } finally {
+            if (button) button.disabled = false;
+        }
+    }
+
+    _promptOrphanRemoval({ count, totalBytes, files = [] }) {
+        const more = count > files.length ? `\n…and ${count - files.length} more` : '';
+        this._showActionPrompt({
+            title: 'Remove Old Files?',
+            message: `${count} files are no longer used by the game and take up ${this._formatSize(totalBytes)}.\n\n${files.join('\n')}${more}`,
+            confirmText: 'Remove',
+            confirmAction: () => this._removeOrphanedFiles()
+        });
+    }
+
+    async _removeOrphanedFiles() {
+        const result = await window.api.invoke('remove-orphaned-files');
+        if (!result.success) {
+            this._showNotification('Cleanup Failed', result.error, 'error');
+        } else if (result.failed.length > 0) {
+            this._showNotification('Cleanup Incomplete', `Removed ${result.removed} files, ${result.failed.length} could not be removed. Close the game and try again.`, 'error');
+        } else {
+            this._showNotification('Cleanup Complete', `Removed ${result.removed} files and freed ${this._formatSize(result.freedBytes)}.`, 'success');
+        }
+    }
+
     _setupRepairListeners() {
         document.getElementById('startQuickRepairBtn')?.addEventListener('click', () => this._startRepair('quick'));
         document.getElementById('startFullRepairBtn')?.addEventListener('click', () => this._startRepair('full'));
+        document.getElementById('startRehashRepairBtn')?.addEventListener('click', () => this._startRepair('full', { forceRehash: true }));
+        document.getElementById('startScopedRepairBtn')?.addEventListener('click', () => {
+            const scope = this.elements.REPAIR_SCOPE_INPUT.value.split('\n').map(line => line.trim()).filter(Boolean);
+            if (scope.length === 0) {
+                this._showNotification('Nothing to Check', 'Enter at least one folder, file or pattern.', 'warning');
+                return;
+            }
+            this._startRepair('full', { scope });
+        });
+        document.getElementById('startOrphanScanBtn')?.addEventListener('click', () => this._scanOrphanedFiles());
         this.elements.REPAIR_CANCEL_BTN?.addEventListener('click', () => window.api.invoke('cancel-repair'));
         this.elements.REPAIR_COMPLETE_BTN?.addEventListener('click', () => this._finishRepairProcess());
+        this.elements.REPAIR_SKIP_BTN?.addEventListener('click', () => this._finishRepairProcess());
+        this.elements.REPAIR_ALL_BTN?.addEventListener('click', () => this._repairReviewedFiles());
+        this.elements.REPAIR_SELECTED_BTN?.addEventListener('click', () => this._repairReviewedFiles(this._getSelectedReviewFiles()));
+        this.elements.REPAIR_REVIEW_LIST?.addEventListener('change', () => this._updateRepairReviewSummary());
+        this.elements.REPAIR_REVIEW_SELECT_ALL?.addEventListener('change', e => {
+            this.elements.REPAIR_REVIEW_LIST.querySelectorAll('input').forEach(input => input.checked = e.target.checked);
+            this._updateRepairReviewSummary();
+        });
+        this.elements.REPAIR_FLOW_CONTROL?.addEventListener('click', e => {
+            const button = e.target.closest('button');
+            if (!button) return;
+            this.elements.REPAIR_FLOW_CONTROL.querySelectorAll('button').forEach(btn => btn.classList.toggle(CLASSES.ACTIVE, btn === button));
+            this.elements.REPAIR_FLOW_CONTROL.setAttribute('data-value', button.dataset.value);
+        });
+        this.elements.REPAIR_HISTORY_LIST?.addEventListener('click', e => {
+            const item = e.target.closest('.repair-history-item');
+            if (!item) return;
+            const exportButton = e.target.closest('[data-format]');
+            if (exportButton) {
+                this._exportRepairReport(item.dataset.id, exportButton.dataset.format);
+            } else if (e.target.closest('.repair-history-summary')) {
+                this._toggleRepairReportDetails(item);
+            }
+        });
+        this._loadRepairHistory();
+    }
+
+    async _loadRepairHistory() {
+        const result = await window.api.invoke('get-repair-reports');
+        if (result.success) {
+            this.data.repairReports = result.reports;
+            this._renderRepairHistory();
+        }
+    }
+
+    _renderRepairHistory() {
+        const list = this.elements.REPAIR_HISTORY_LIST;
+        if (!list) return;
+
+        if (this.data.repairReports.length === 0) {
+            list.innerHTML = '<div class="repair-history-empty">No checks have been run yet.</div>';
+            return;
+        }
+
+        const modeNames = { quick: 'Quick Check', full: 'Full Check', verify: 'Verification', repair: 'Repair' };
+        const statusIcons = { completed: 'fa-check-circle', failed: 'fa-exclamation-circle', cancelled: 'fa-ban' };
+        list.innerHTML = '';
+        this.data.repairReports.forEach(report => {
+            const item = document.createElement('div');
+            item.className = `repair-history-item ${report.status}`;
+            item.dataset.id = report.id;
+            item.innerHTML = `
+                <div class="repair-history-summary">
+                    <i class="fas ${statusIcons[report.status] || 'fa-question-circle'}"></i>
+                    <div class="repair-history-text">
+                        <span class="repair-history-title"></span>
+                        <span class="repair-history-meta"></span>
+                    </div>
+                    <div class="repair-history-actions">
+                        <button class="settings-button" data-format="json" title="Export as JSON">JSON</button>
+                        <button class="settings-button" data-format="html" title="Export as HTML">HTML</button>
+                    </div>
+                </div>
+                <div class="repair-history-details"></div>`;
+
+            const status = report.status.charAt(0).toUpperCase() + report.status.slice(1);
+            const details = [report.scope && 'selected files', report.verifyOnly && 'check only'].filter(Boolean);
+            const suffix = details.length ? ` (${details.join(', ')})` : '';
+            item.querySelector('.repair-history-title').textContent = `${modeNames[report.mode] || report.mode}${suffix} · ${status}`;
+
+            const meta = [
+                new Date(report.startedAt).toLocaleString(),
+                `${report.totalFiles} files`,
+                `${report.problemCount} problem(s)`
+            ];
+            if (report.repairedFiles > 0) meta.push(`${report.repairedFiles} repaired`);
+            if (report.bytesRedownloaded > 0) meta.push(`${this._formatSize(report.bytesRedownloaded)} downloaded`);
+            if (report.failureCount > 0) meta.push(`${report.failureCount} failed`);
+            item.querySelector('.repair-history-meta').textContent = meta.join(' · ');
+            list.appendChild(item);
+        });
+    }
+
+    async _toggleRepairReportDetails(item) {
+        const details = item.querySelector('.repair-history-details');
+        const isOpen = item.classList.toggle(CLASSES.ACTIVE);
+        if (!isOpen || details.childElementCount > 0) return;
+
+        const result = await window.api.invoke('get-repair-report', item.dataset.id);
+        if (!result.success) {
+            item.classList.remove(CLASSES.ACTIVE);
+            this._showNotification('Report Unavailable', result.error, 'error');
+            return;
+        }
+
+        const { report } = result;
+        const source = report.indexSource;
+        const lines = [
+            ['Index', !source ? 'Not loaded' : source.type === 'local' ? source.path : `${source.url} (${source.channel})`],
+            ['Scope', report.scope ? report.scope.join('\n') : 'Entire game'],
+            ['Duration', `${Math.round((report.finishedAt - report.startedAt) / 1000)}s`]
+        ];
+        if (report.error) lines.push(['Error', report.error]);
+
+        const problemNames = {
+            'missing': 'Missing',
+            'size-mismatch': 'Wrong size',
+            'hash-mismatch': 'Hash mismatch',
+            'unreadable': 'Could not be read'
+        };
+        Object.entries(report.problems).forEach(([problem, files]) => {
+            if (files.length) lines.push([`${problemNames[problem] || problem} (${files.length})`, this._summarizeReportFiles(files.map(f => f.path))]);
+        });
+        if (report.failures.length) {
+            lines.push([`Failed (${report.failures.length})`, this._summarizeReportFiles(report.failures.map(f => `${f.path}: ${f.error}`))]);
+        }
+
+        lines.forEach(([label, value]) => {
+            const row = document.createElement('div');
+            row.className = 'repair-history-detail';
+            row.innerHTML = '<span class="repair-history-detail-label"></span><span class="repair-history-detail-value"></span>';
+            row.firstElementChild.textContent = label;
+            row.lastElementChild.textContent = value;
+            details.appendChild(row);
+        });
+    }
+
+    _summarizeReportFiles(files) {
+        const shown = files.slice(0, 10).join('\n');
+        return files.length > 10 ? `${shown}\n...and ${files.length - 10} more (export the report for the full list)` : shown;
+    }
+
+    async _exportRepairReport(id, format) {
+        const result = await window.api.invoke('export-repair-report', id, format);
+        if (!result.success) {
+            this._showNotification('Export Failed', result.error, 'error');
+        } else if (!result.cancelled) {
+            this._showNotification('Report Exported', `Saved to ${result.filePath}`, 'success');
+        }
     }
 
     _setupInstallationModalListeners() {
@@ -988,6 +1873,13 @@ class LauncherUI {
             const result = await window.api.invoke('select-install-directory');
             if (result && !result.canceled) this._startDownload(result.path);
         });
+        document.getElementById('installFromLocalBtn')?.addEventListener('click', async () => {
+            const source = await window.api.invoke('select-local-source');
+            if (!source || source.canceled) return;
+
+            const target = await window.api.invoke('select-install-directory');
+            if (target && !target.canceled) this._startDownload(target.path, 'default', null, source.path);
+        });
         document.getElementById('selectExistingPathBtn')?.addEventListener('click', async () => {
             this.elements.INSTALLATION_MODAL.classList.remove(CLASSES.ACTIVE);
             const result = await window.api.invoke('browse-game-path');
@@ -1053,13 +1945,41 @@ class LauncherUI {
     }
 
     async _setupNewsPanel() {
-        const noticeContainer = this.elements.NEWS_CONTENT_NOTICE;
-        const newsContainer = this.elements.NEWS_CONTENT_NEWS;
         const tabs = document.querySelectorAll(SELECTORS.NEWS_TABS);
         const newsPanel = this.elements.NEWS_PANEL;
 
         if (!newsPanel) return;
 
+        await this._loadNewsContent();
+
+        tabs.forEach(tab => {
+            tab.addEventListener('click', () => {
+                tabs.forEach(t => t.classList.remove(CLASSES.ACTIVE));
+                tab.classList.add(CLASSES.ACTIVE);
+
+                const tabType = tab.dataset.tab;
+                document.querySelectorAll('.news-content').forEach(content => {
+                    content.classList.toggle(CLASSES.ACTIVE, content.id === `news-content-${tabType}`);
+                });
+            });
+        });
+
+        newsPanel.addEventListener('click', (e) => {
+            const targetLink = e.target.closest('a[data-url]');
+            if (targetLink) {
+                e.preventDefault();
+                const url = targetLink.dataset.url;
+                if (url) {
+                    window.api.invoke('open-external-url', url);
+                }
+            }
+        });
+    }
+
+    async _loadNewsContent() {
+        const noticeContainer = this.elements.NEWS_CONTENT_NOTICE;
+        const newsContainer = this.elements.NEWS_CONTENT_NEWS;
+
         const populate = (container, items) => {
             if (!items || !items.length) {
                 container.innerHTML = '<p class="news-empty">No new announcements.</p>';
@@ -1094,29 +2014,6 @@ class LauncherUI {
             noticeContainer.innerHTML = '<p class="news-empty">Could not load content.</p>';
             newsContainer.innerHTML = '<p class="news-empty">Could not load content.</p>';
         }
-
-        tabs.forEach(tab => {
-            tab.addEventListener('click', () => {
-                tabs.forEach(t => t.classList.remove(CLASSES.ACTIVE));
-                tab.classList.add(CLASSES.ACTIVE);
-
-                const tabType = tab.dataset.tab;
-                document.querySelectorAll('.news-content').forEach(content => {
-                    content.classList.toggle(CLASSES.ACTIVE, content.id === `news-content-${tabType}`);
-                });
-            });
-        });
-
-        newsPanel.addEventListener('click', (e) => {
-            const targetLink = e.target.closest('a[data-url]');
-            if (targetLink) {
-                e.preventDefault();
-                const url = targetLink.dataset.url;
-                if (url) {
-                    window.api.invoke('open-external-url', url);
-                }
-            }
-        });
     }
 
     _setupSlideshow(slides) {
@@ -1146,15 +2043,15 @@ class LauncherUI {
         this.data.slideshow.dotElements = dotsContainer.querySelectorAll('.dot');
 
         this._showSlide(0);
-        this._startSlideshow();
+        this._resetSlideshowTimer();
 
-        dotsContainer.addEventListener('click', e => {
+        dotsContainer.onclick = e => {
             if (e.target.classList.contains('dot')) {
                 const index = parseInt(e.target.dataset.index);
                 this._showSlide(index);
                 this._resetSlideshowTimer();
             }
-        });
+        };
     }
 
     _showSlide(index) {
@@ -1,7 +1,7 @@
 const { initializeLogger, logger } = require('./backend/logger');
 initializeLogger();
 
-const { app, BrowserWindow, ipcMain, protocol } = require('electron');
+const { app, BrowserWindow, ipcMain, protocol, session } = require('electron');
 const fs = require('fs');
 const { EventEmitter } = require('events');
 const path = require('path');
@@ -26,11 +26,16 @@ const { setupWindowManager } = require('./backend/window-manager');
 const { GameManager, setupGameManagerIPC } = require('./backend/game-manager');
 const { assetCache } = require('./backend/asset-cache');
 const { apiConfig } = require('./backend/api-config');
+const { proxyManager } = require('./backend/proxy');
+const { lanPeerManager } = require('./backend/lan-peers');
+const { profileManager, setupProfileIPC } = require('./backend/profile-manager');
+const { GameUpdatePoller } = require('./backend/game-update-poller');
 
 let mainWindow;
 let launcherConfig;
 let windowManager;
 let gameManager;
+let gameUpdatePoller;
 const appEvents = new EventEmitter();
 let modulesInitialized = false;
 let initialDataPromise = null;
@@ -126,6 +131,15 @@ async function main() {
         await launcherConfig.waitForLoad();
         logger.info('Configuration loaded successfully');
 
+        proxyManager.useConfig(launcherConfig);
+        await proxyManager.applyToSession(session.defaultSession);
+
+        lanPeerManager.useConfig(launcherConfig);
+        await lanPeerManager.applySettings();
+
+        profileManager.useConfig(launcherConfig);
+        apiConfig.useConfig(launcherConfig);
+
         createWindow();
     } catch (error) {
         logger.crash(`FATAL ERROR in main(): ${error.stack || error}`);
@@ -246,6 +260,23 @@ function initializeModules() {
         gameManager = new GameManager(mainWindow, launcherConfig, appEvents);
         windowManager = setupWindowManager(mainWindow, launcherConfig, app, gameManager);
 
+        profileManager.addBusyCheck(() => gameManager.isGameRunning ? 'Close the game before switching profiles.' : null);
+        let activeClient = launcherConfig.get('client');
+        profileManager.on('changed', () => {
+            gameManager.clearUpdateCache();
+            windowManager.updateTrayMenu();
+
+            if (launcherConfig.get('client') !== activeClient) {
+                activeClient = launcherConfig.get('client');
+                refreshRegionAssets().catch(error => logger.error('Failed to refresh assets for the new region:', error));
+            }
+        });
+        profileManager.on('switched', (profile) => {
+            if (mainWindow && !mainWindow.isDestroyed()) {
+                mainWindow.webContents.send('profile-switched', { id: profile.id, name: profile.name });
+            }
+        });
+
         const { setupAutoUpdater } = require('./backend/updater');
         const { communityTools, setupExternalLinksIPC } = require('./backend/external-links');
         const { CONSTANTS } = require('./backend/core');
@@ -257,9 +288,15 @@ function initializeModules() {
 
         setupConfigIPC(launcherConfig);
 
+        setupProfileIPC(ipcMain);
+
         require('./backend/notifications').setupNotificationIPC(ipcMain);
 
-        require('./backend/file-handler').setupFileHandlerIPC(ipcMain, mainWindow, launcherConfig, gameManager);
+        const { startDownload } = require('./backend/file-handler').setupFileHandlerIPC(ipcMain, mainWindow, launcherConfig, gameManager);
+        gameUpdatePoller = new GameUpdatePoller(mainWindow, launcherConfig, gameManager, startDownload);
+        gameUpdatePoller.start();
+
+        require('./backend/repair-reports').setupRepairReportIPC(ipcMain, mainWindow);
 
         setupExternalLinksIPC(ipcMain, launcherConfig, mainWindow);
 
@@ -282,6 +319,21 @@ function initializeModules() {
     }
 }
 
+// News, wallpaper and slogan are cached for one region at a time, so they are
+// fetched again when the active profile plays on another one.
+async function refreshRegionAssets() {
+    logger.info(`Region changed to ${apiConfig.getClientId()}, refreshing news and wallpaper.`);
+    await assetCache.invalidateNewsData();
+    await assetCache.checkAndUpdateBackgroundAssets(apiConfig.getWallpaperUrl());
+
+    if (mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.webContents.send('region-assets-updated', {
+            backgroundVideo: await assetCache.getCachedBackgroundFile(),
+            updateImage: await assetCache.getCachedSlogan()
+        });
+    }
+}
+
 function setupWindowListeners() {
     mainWindow.once('ready-to-show', async () => {
         try {
@@ -302,13 +354,8 @@ function setupWindowListeners() {
                 logger.info('Internet connection detected. Checking for updates.');
                 checkForLauncherUpdates();
 
-                const gamePath = launcherConfig.get('gamePath');
-                if (gamePath && gameManager) {
-                    const updateResult = await gameManager.checkForUpdates();
-                    if (updateResult.success && updateResult.updateAvailable) {
-                        logger.info('Game update found during initialization, notifying renderer.');
-                        mainWindow.webContents.send('update-available', updateResult);
-                    }
+                if (gameUpdatePoller) {
+                    await gameUpdatePoller.check();
                 }
             } else {
                 logger.info('No internet connection detected on startup. Skipping initial update checks.');
@@ -399,6 +446,10 @@ function setupWindowListeners() {
         if (gameManager) {
             gameManager.stopProcessMonitoring();
         }
+
+        if (gameUpdatePoller) {
+            gameUpdatePoller.stop();
+        }
     });
 
     const saveWindowState = () => {
@@ -430,6 +481,8 @@ function setupWindowListeners() {
             windowManager.destroyTray();
         }
 
+        lanPeerManager.stop();
+
         if (gameManager) {
             gameManager.stopProcessMonitoring();
         }
@@ -457,7 +510,7 @@ app.whenReady().then(async () => {
     protocol.registerFileProtocol('local-resource', (request, callback) => {
         try {
             const decodedUrl = decodeURI(request.url);
-            const filePath = path.normalize(decodedUrl.substring('local-resource:///'.length));
+            const filePath = path.normalize(decodedUrl.substring('local-resource:///'.length).split('?')[0]);
             callback({ path: filePath });
         } catch (error) {
             logger.error(`Failed to serve local resource: ${request.url}`, error);
@@ -481,6 +534,14 @@ app.whenReady().then(async () => {
     main();
 });
 
+app.on('login', (event, webContents, details, authInfo, callback) => {
+    const credentials = authInfo.isProxy ? proxyManager.getCredentials() : null;
+    if (credentials) {
+        event.preventDefault();
+        callback(credentials.username, credentials.password);
+    }
+});
+
 app.on('window-all-closed', () => {
     if (process.platform !== 'darwin') app.quit();
 });
@@ -4,7 +4,7 @@ const {
 } = require('electron');
 
 contextBridge.exposeInMainWorld('api', {
-    invoke: (channel, data) => ipcRenderer.invoke(channel, data),
+    invoke: (channel, ...args) => ipcRenderer.invoke(channel, ...args),
 
     on: (channel, callback) => {
         const subscription = (_event, ...args) => callback(...args);
@@ -0,0 +1,139 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    encodeName,
+    encodeQuestion,
+    encodeRecord,
+    encodePacket,
+    encodeTxt,
+    decodeName,
+    decodePacket,
+    decodeTxt,
+    parseRange
+} = require('../backend/lan-peers');
+
+const SERVICE_NAME = '_peebify._tcp.local';
+const PTR = 12;
+const TXT = 16;
+const SRV = 33;
+
+describe('parseRange', () => {
+    it('parses single byte ranges', () => {
+        assert.deepEqual(parseRange('bytes=0-99', 1000), { start: 0, end: 99, satisfiable: true });
+        assert.deepEqual(parseRange('bytes=900-', 1000), { start: 900, end: 999, satisfiable: true });
+        assert.deepEqual(parseRange('bytes=-100', 1000), { start: 900, end: 999, satisfiable: true });
+        assert.deepEqual(parseRange('bytes=900-5000', 1000), { start: 900, end: 999, satisfiable: true });
+        assert.deepEqual(parseRange('bytes=-5000', 1000), { start: 0, end: 999, satisfiable: true });
+    });
+
+    it('serves the whole file for missing or unsupported headers', () => {
+        for (const header of [undefined, '', 'bytes=', 'bytes=-', 'bytes=0-1,5-6', 'items=0-1', 'bytes=a-b', 'bytes= 0-1', 'bytes=0-1\n']) {
+            assert.equal(parseRange(header, 1000), null, String(header));
+        }
+        assert.equal(parseRange('bytes=0-99', 0), null);
+    });
+
+    it('marks ranges outside the file as unsatisfiable', () => {
+        assert.equal(parseRange('bytes=1000-', 1000).satisfiable, false);
+        assert.equal(parseRange('bytes=500-100', 1000).satisfiable, false);
+        assert.equal(parseRange('bytes=-0', 1000).satisfiable, false);
+        assert.equal(parseRange('bytes=99999999999999999999-', 1000).satisfiable, false);
+    });
+});
+
+describe('mDNS packets', () => {
+    const instanceName = `Peebify-1234abcd.${SERVICE_NAME}`;
+    const srv = Buffer.alloc(6);
+    srv.writeUInt16BE(47800, 4);
+    const response = encodePacket({
+        isResponse: true,
+        answers: [
+            encodeRecord(SERVICE_NAME, PTR, encodeName(instanceName)),
+            encodeRecord(instanceName, SRV, Buffer.concat([srv, encodeName('host.local')])),
+            encodeRecord(instanceName, TXT, encodeTxt({ id: 'abc', region: 'global' }))
+        ]
+    });
+
+    it('decodes the packets the launcher sends', () => {
+        const query = decodePacket(encodePacket({ questions: [encodeQuestion(SERVICE_NAME, PTR)] }));
+        assert.equal(query.isResponse, false);
+        assert.deepEqual(query.questions, [{ name: SERVICE_NAME, type: PTR }]);
+
+        const packet = decodePacket(response);
+        assert.equal(packet.isResponse, true);
+        assert.deepEqual(packet.records.map(r => [r.name, r.type]), [
+            [SERVICE_NAME, PTR],
+            [instanceName, SRV],
+            [instanceName, TXT]
+        ]);
+        assert.equal(packet.records[1].data.readUInt16BE(4), 47800);
+        assert.deepEqual(decodeTxt(packet.records[2].data), { id: 'abc', region: 'global' });
+    });
+
+    it('rejects packets shorter than the header', () => {
+        assert.throws(() => decodePacket(Buffer.alloc(0)), /Malformed DNS packet/);
+        assert.throws(() => decodePacket(Buffer.alloc(11)), /Malformed DNS packet/);
+    });
+
+    it('rejects every truncation of a valid response', () => {
+        for (let length = 12; length < response.length; length++) {
+            assert.throws(() => decodePacket(response.subarray(0, length)), /Malformed DNS/, `length ${length}`);
+        }
+    });
+
+    it('rejects counts larger than the packet holds', () => {
+        const packet = Buffer.from(response);
+        packet.writeUInt16BE(0xffff, 6);
+        assert.throws(() => decodePacket(packet), /Malformed DNS/);
+
+        const questions = Buffer.from(response);
+        questions.writeUInt16BE(1, 4);
+        questions.writeUInt16BE(0, 6);
+        assert.doesNotThrow(() => decodePacket(questions));
+        questions.writeUInt16BE(0xffff, 4);
+        assert.throws(() => decodePacket(questions), /Malformed DNS/);
+    });
+
+    it('rejects a record length that runs past the packet', () => {
+        const packet = Buffer.from(response);
+        const nameEnd = decodeName(packet, 12).end;
+        packet.writeUInt16BE(0xffff, nameEnd + 8);
+        assert.throws(() => decodePacket(packet), /Malformed DNS packet/);
+    });
+
+    it('rejects compression pointer loops and pointers past the end', () => {
+        const loop = Buffer.from([0xc0, 0x00]);
+        assert.throws(() => decodeName(loop, 0), /Malformed DNS name/);
+
+        const forward = Buffer.from([0xc0, 0x05]);
+        assert.throws(() => decodeName(forward, 0), /Malformed DNS name/);
+
+        const cut = Buffer.from([0x03, 0x61, 0x62, 0x63, 0xc0]);
+        assert.throws(() => decodeName(cut, 0), /Malformed DNS name/);
+    });
+
+    it('rejects labels longer than the packet', () => {
+        assert.throws(() => decodeName(Buffer.from([0x10, 0x61, 0x62, 0x00]), 0), /Malformed DNS name/);
+        assert.throws(() => decodeName(Buffer.from([0x01, 0x61]), 0), /Malformed DNS name/);
+    });
+
+    it('follows compression pointers to earlier names', () => {
+        const buffer = Buffer.concat([encodeName('host.local'), Buffer.from([0x03, 0x77, 0x77, 0x77, 0xc0, 0x00])]);
+        assert.deepEqual(decodeName(buffer, 12), { name: 'www.host.local', end: buffer.length });
+    });
+});
+
+describe('decodeTxt', () => {
+    it('ignores entries without a key and a truncated last entry', () => {
+        const data = Buffer.concat([
+            Buffer.from([6]), Buffer.from('id=abc'),
+            Buffer.from([4]), Buffer.from('=bad'),
+            Buffer.from([4]), Buffer.from('flag'),
+            Buffer.from([0]),
+            Buffer.from([20]), Buffer.from('cut=off')
+        ]);
+        assert.deepEqual(decodeTxt(data), { id: 'abc' });
+        assert.deepEqual(decodeTxt(Buffer.alloc(0)), {});
+    });
+});
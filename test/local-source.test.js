@@ -0,0 +1,209 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+
+const { LocalSource, ZipSource } = require('../backend/local-source');
+
+const UINT32_MAX = 0xffffffff;
+
+// Builds an archive the way common ZIP tools lay it out. With zip64 set, the
+// sizes and offsets live in the ZIP64 extra field and end of directory record.
+function buildZip(files, { zip64 = false } = {}) {
+    const locals = [];
+    const central = [];
+    let offset = 0;
+
+    for (const { name, data, method = 0 } of files) {
+        const body = method === 8 ? zlib.deflateRawSync(data) : data;
+        const nameBuffer = Buffer.from(name);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(method, 8);
+        local.writeUInt32LE(body.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(nameBuffer.length, 26);
+        locals.push(local, nameBuffer, body);
+
+        const extra = Buffer.alloc(zip64 ? 28 : 0);
+        if (zip64) {
+            extra.writeUInt16LE(0x0001, 0);
+            extra.writeUInt16LE(24, 2);
+            extra.writeBigUInt64LE(BigInt(data.length), 4);
+            extra.writeBigUInt64LE(BigInt(body.length), 12);
+            extra.writeBigUInt64LE(BigInt(offset), 20);
+        }
+
+        const entry = Buffer.alloc(46);
+        entry.writeUInt32LE(0x02014b50, 0);
+        entry.writeUInt16LE(method, 10);
+        entry.writeUInt32LE(zip64 ? UINT32_MAX : body.length, 20);
+        entry.writeUInt32LE(zip64 ? UINT32_MAX : data.length, 24);
+        entry.writeUInt16LE(nameBuffer.length, 28);
+        entry.writeUInt16LE(extra.length, 30);
+        entry.writeUInt32LE(zip64 ? UINT32_MAX : offset, 42);
+        central.push(entry, nameBuffer, extra);
+
+        offset += local.length + nameBuffer.length + body.length;
+    }
+
+    const directory = Buffer.concat(central);
+    const tail = [];
+    if (zip64) {
+        const record = Buffer.alloc(56);
+        record.writeUInt32LE(0x06064b50, 0);
+        record.writeBigUInt64LE(44n, 4);
+        record.writeBigUInt64LE(BigInt(files.length), 24);
+        record.writeBigUInt64LE(BigInt(files.length), 32);
+        record.writeBigUInt64LE(BigInt(directory.length), 40);
+        record.writeBigUInt64LE(BigInt(offset), 48);
+
+        const locator = Buffer.alloc(20);
+        locator.writeUInt32LE(0x07064b50, 0);
+        locator.writeBigUInt64LE(BigInt(offset + directory.length), 8);
+        locator.writeUInt32LE(1, 16);
+        tail.push(record, locator);
+    }
+
+    const eocd = Buffer.alloc(22);
+    eocd.writeUInt32LE(0x06054b50, 0);
+    eocd.writeUInt16LE(zip64 ? 0xffff : files.length, 8);
+    eocd.writeUInt16LE(zip64 ? 0xffff : files.length, 10);
+    eocd.writeUInt32LE(zip64 ? UINT32_MAX : directory.length, 12);
+    eocd.writeUInt32LE(zip64 ? UINT32_MAX : offset, 16);
+
+    return {
+        buffer: Buffer.concat([...locals, directory, ...tail, eocd]),
+        directoryOffset: offset
+    };
+}
+
+async function readAll(stream) {
+    const chunks = [];
+    for await (const chunk of await stream) chunks.push(chunk);
+    return Buffer.concat(chunks);
+}
+
+describe('ZipSource', () => {
+    const stored = Buffer.from('stored file contents');
+    const deflated = Buffer.alloc(4096, 'a');
+    const resources = [
+        { dest: 'Client/Content/Paks/a.pak' },
+        { dest: 'Client/Content/Paks/b.pak' }
+    ];
+    let dir;
+    let counter = 0;
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'peebify-zip-'));
+    });
+
+    after(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const writeArchive = (buffer) => {
+        const archivePath = path.join(dir, `archive-${counter++}.zip`);
+        fs.writeFileSync(archivePath, buffer);
+        return archivePath;
+    };
+
+    const open = async (buffer) => {
+        const source = new ZipSource(writeArchive(buffer));
+        try {
+            await source.prepare(resources);
+        } finally {
+            await source.close();
+        }
+        return source;
+    };
+
+    const sampleFiles = [
+        { name: 'Game/Client/Content/Paks/a.pak', data: stored },
+        { name: 'Game/Client/Content/Paks/b.pak', data: deflated, method: 8 }
+    ];
+
+    it('reads stored and deflated entries below a top-level folder', async () => {
+        const source = await LocalSource.open(writeArchive(buildZip(sampleFiles).buffer), resources);
+        try {
+            assert.equal(source.prefix, 'Game/');
+            assert.equal(await source.getSize('Client/Content/Paks/a.pak'), stored.length);
+            assert.equal(await source.getSize('Client\\Content\\Paks\\b.pak'), deflated.length);
+            assert.equal(await source.getSize('Client/Content/Paks/missing.pak'), null);
+            assert.deepEqual(await readAll(source.openReadStream('Client/Content/Paks/a.pak')), stored);
+            assert.deepEqual(await readAll(source.openReadStream('Client/Content/Paks/b.pak')), deflated);
+        } finally {
+            await source.close();
+        }
+    });
+
+    it('reads sizes and offsets from ZIP64 records', async () => {
+        const source = await open(buildZip(sampleFiles, { zip64: true }).buffer);
+        assert.equal(await source.getSize('Client/Content/Paks/a.pak'), stored.length);
+        assert.equal(await source.getSize('Client/Content/Paks/b.pak'), deflated.length);
+    });
+
+    it('rejects files that are not ZIP archives', async () => {
+        await assert.rejects(open(Buffer.alloc(0)), /Not a valid ZIP archive/);
+        await assert.rejects(open(Buffer.from('PK not really an archive')), /Not a valid ZIP archive/);
+    });
+
+    it('rejects an archive cut off inside the central directory', async () => {
+        const { buffer, directoryOffset } = buildZip(sampleFiles);
+        const eocd = buffer.subarray(buffer.length - 22);
+        const truncated = Buffer.concat([buffer.subarray(0, directoryOffset + 30), eocd]);
+        await assert.rejects(open(truncated), /Corrupt ZIP central directory/);
+    });
+
+    it('rejects a directory size or offset that points past the end of the file', async () => {
+        const { buffer } = buildZip(sampleFiles);
+        const oversized = Buffer.from(buffer);
+        oversized.writeUInt32LE(UINT32_MAX, oversized.length - 10);
+        await assert.rejects(open(oversized), /Corrupt ZIP central directory/);
+
+        const misplaced = Buffer.from(buffer);
+        misplaced.writeUInt32LE(UINT32_MAX - 1, misplaced.length - 6);
+        await assert.rejects(open(misplaced), /Corrupt ZIP central directory/);
+    });
+
+    it('rejects more entries than the directory holds', async () => {
+        const { buffer } = buildZip(sampleFiles);
+        buffer.writeUInt16LE(3, buffer.length - 12);
+        await assert.rejects(open(buffer), /Corrupt ZIP central directory/);
+    });
+
+    it('rejects entry names that run past the directory', async () => {
+        const { buffer, directoryOffset } = buildZip(sampleFiles);
+        buffer.writeUInt16LE(0xffff, directoryOffset + 28);
+        await assert.rejects(open(buffer), /Corrupt ZIP central directory/);
+    });
+
+    it('rejects a ZIP64 locator that points past the end of the file', async () => {
+        const { buffer } = buildZip(sampleFiles, { zip64: true });
+        buffer.writeBigUInt64LE(0xffffffffffffffffn, buffer.length - 22 - 20 + 8);
+        await assert.rejects(open(buffer), /Corrupt ZIP64 archive/);
+    });
+
+    it('rejects a ZIP64 extra field too short for the values it replaces', async () => {
+        const { buffer, directoryOffset } = buildZip(sampleFiles, { zip64: true });
+        const nameLength = buffer.readUInt16LE(directoryOffset + 28);
+        buffer.writeUInt16LE(8, directoryOffset + 46 + nameLength + 2);
+        await assert.rejects(open(buffer), /Corrupt ZIP64 extra field/);
+    });
+
+    it('rejects an entry whose local header is past the end of the file', async () => {
+        const { buffer, directoryOffset } = buildZip(sampleFiles);
+        buffer.writeUInt32LE(UINT32_MAX - 1, directoryOffset + 42);
+
+        const source = new ZipSource(writeArchive(buffer));
+        await source.prepare(resources);
+        try {
+            await assert.rejects(source.openReadStream('Client/Content/Paks/a.pak'), /Corrupt ZIP entry/);
+        } finally {
+            await source.close();
+        }
+    });
+});
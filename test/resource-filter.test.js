@@ -0,0 +1,81 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { ResourceFilter, parseGlob, matchGlob } = require('../backend/resource-filter');
+
+const matches = (glob, text) => matchGlob(parseGlob(glob), text);
+
+describe('matchGlob', () => {
+    it('keeps * and ? within one folder', () => {
+        assert.equal(matches('client/*.pak', 'client/a.pak'), true);
+        assert.equal(matches('client/*.pak', 'client/paks/a.pak'), false);
+        assert.equal(matches('client/?.pak', 'client/a.pak'), true);
+        assert.equal(matches('client/?.pak', 'client/ab.pak'), false);
+        assert.equal(matches('client?a.pak', 'client/a.pak'), false);
+    });
+
+    it('lets ** cross folders', () => {
+        assert.equal(matches('client/**/*.pak', 'client/a.pak'), true);
+        assert.equal(matches('client/**/*.pak', 'client/content/paks/a.pak'), true);
+        assert.equal(matches('client/**', 'client/content/paks/a.pak'), true);
+        assert.equal(matches('**/a.pak', 'a.pak'), true);
+        assert.equal(matches('**/a.pak', 'client/xa.pak'), false);
+        assert.equal(matches('client/**.pak', 'client/content/a.pak'), true);
+    });
+
+    it('treats RegExp syntax in patterns as literal characters', () => {
+        assert.equal(matches('paks/[a-z].pak', 'paks/[a-z].pak'), true);
+        assert.equal(matches('paks/[a-z].pak', 'paks/b.pak'), false);
+        assert.equal(matches('(a|b)+$.pak*', '(a|b)+$.pak'), true);
+        assert.equal(matches('a.pak*', 'aXpak'), false);
+        assert.equal(matches('^*', 'abc'), false);
+    });
+
+    it('handles empty patterns and paths', () => {
+        assert.equal(matches('', ''), true);
+        assert.equal(matches('', 'a'), false);
+        assert.equal(matches('*', ''), true);
+        assert.equal(matches('?', ''), false);
+        assert.equal(matches('**/', ''), true);
+    });
+
+    it('does not backtrack on patterns with many wildcards', () => {
+        const started = Date.now();
+        assert.equal(matches(`${'*a'.repeat(200)}b`, 'a'.repeat(400)), false);
+        assert.equal(matches(`${'**a'.repeat(200)}b`, 'a/'.repeat(200)), false);
+        assert.ok(Date.now() - started < 1000);
+    });
+});
+
+describe('ResourceFilter', () => {
+    const resources = [
+        { dest: 'Client/Content/Paks/pakchunk0.pak' },
+        { dest: 'Client/Content/Paks/pakchunk1.pak' },
+        { dest: 'Client/Binaries/Win64/Client-Win64-Shipping.exe' },
+        { dest: 'Wuthering Waves.exe' }
+    ];
+    const pick = (entries) => new ResourceFilter(entries).apply(resources).map(r => r.dest);
+
+    it('matches folders, files and patterns regardless of case and slashes', () => {
+        assert.deepEqual(pick(['client\\binaries\\']), ['Client/Binaries/Win64/Client-Win64-Shipping.exe']);
+        assert.deepEqual(pick(['./Wuthering Waves.exe']), ['Wuthering Waves.exe']);
+        assert.deepEqual(pick(['*.PAK']), ['Client/Content/Paks/pakchunk0.pak', 'Client/Content/Paks/pakchunk1.pak']);
+        assert.deepEqual(pick(['Client/**/pakchunk?.pak']), ['Client/Content/Paks/pakchunk0.pak', 'Client/Content/Paks/pakchunk1.pak']);
+    });
+
+    it('does not match folder names by prefix', () => {
+        assert.throws(() => pick(['Client/Content/Pak']), /No game files match/);
+    });
+
+    it('rejects empty, blank and non-string entry lists', () => {
+        for (const entries of [undefined, null, [], ['', '   ', '/', './']]) {
+            assert.throws(() => new ResourceFilter(entries), /at least one/);
+        }
+        assert.deepEqual(new ResourceFilter([42, ' a ']).entries, ['42', 'a']);
+    });
+
+    it('rejects more entries than allowed', () => {
+        const entries = Array.from({ length: 201 }, (_, i) => `file${i}.pak`);
+        assert.throws(() => new ResourceFilter(entries), /at most 200/);
+    });
+});
@@ -0,0 +1,20 @@
+const Module = require('module');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The backend keeps its logs and caches under Electron's user data folder,
+// which does not exist when the tests run in plain Node.
+const userData = fs.mkdtempSync(path.join(os.tmpdir(), 'peebify-test-'));
+process.on('exit', () => fs.rmSync(userData, { recursive: true, force: true }));
+
+const electron = {
+    app: {
+        getPath: () => userData
+    }
+};
+
+const load = Module._load;
+Module._load = function (request, ...args) {
+    return request === 'electron' ? electron : load.call(this, request, ...args);
+};